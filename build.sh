@@ -6,21 +6,8 @@ Sleep 1
 SCRIPT_DIR="$( cd "$( dirname "${BASH_SOURCE[0]}" )" &> /dev/null && pwd )"
 cd $SCRIPT_DIR
 
-for i in $(ls -d src/*/)
-do 
-    PLUGIN=${i%/}
-    PLUGIN=${PLUGIN##*/}
-done
-echo Plugin Name - $PLUGIN
 echo "Generate Release"
-if [ -d "Release" ]
-then
-    rm -rf Release/
-fi
-mkdir -p Release
-rm -r ~/Library/Application\ Support/com.elgato.StreamDeck/Plugins/$PLUGIN
-cp -R src/ ~/Library/Application\ Support/com.elgato.StreamDeck/Plugins
-./DistributionTool -b -i src/$PLUGIN -o Release
+node tools/package.js --install || exit 1
 
 echo "Start - Stream Deck"
 open -a "Stream Deck"
@@ -28,4 +15,3 @@ sleep 3
 open -a "Google Chrome" http://localhost:23654
 echo "Exit"
 exit 0
-
@@ -0,0 +1,58 @@
+/// <reference path="../libs/js/action.js" />
+
+/**
+ * @class SampleAction1
+ * Logs the events it receives and shows the number of taps of a multi tap in its title
+ */
+class SampleAction1 extends Action {
+    static UUID = 'com.elgato.template.action1';
+
+    onDidReceiveSettings(jsn, context) {
+        this.log.debug('didReceiveSettings', { context, settings: context.settings });
+    }
+
+    onKeyDown(jsn, context) {
+        this.log.debug('keyDown', { context });
+    }
+
+    onKeyUp(jsn, context) {
+        this.log.debug('keyUp', { context });
+    }
+
+    onLongPress(jsn, context) {
+        this.log.debug('longPress', { context });
+    }
+
+    onDoubleTap(jsn, context) {
+        this.log.debug('doubleTap', { context });
+    }
+
+    onMultiTap({ payload }, context) {
+        this.log.debug('multiTap', { context, tapCount: payload.tapCount });
+        StreamDeck.setTitle(context.context, StreamDeck.t('{count} taps', { count: payload.tapCount }));
+    }
+
+    onWillAppear(jsn, context) {
+        this.log.debug('willAppear', { context });
+    }
+
+    onWillDisappear(jsn, context) {
+        this.log.debug('willDisappear', { context });
+    }
+
+    onTitleParametersDidChange(jsn, context) {
+        this.log.debug('titleParametersDidChange', { context });
+    }
+
+    onPropertyInspectorDidAppear(jsn, context) {
+        this.log.debug('propertyInspectorDidAppear', { context });
+    }
+
+    onPropertyInspectorDidDisappear(jsn, context) {
+        this.log.debug('propertyInspectorDidDisappear', { context });
+    }
+
+    onSendToPlugin({ payload }, context) {
+        this.log.debug('sendToPlugin', { context, payload });
+    }
+}
@@ -1,18 +1,25 @@
+/// <reference path="../libs/js/action.js" />
+
+/**
+ * @class SampleAction2
+ * Shows the name set in its property inspector as the key title
+ */
 class SampleAction2 extends Action {
-    
-    constructor(UUID) {
-        super(UUID)
+    static UUID = 'com.elgato.template.action2';
+
+    onWillAppear(jsn, context) {
+        this.showName(context);
+    }
+
+    onDidReceiveSettings(jsn, context) {
+        this.showName(context);
     }
 
-    // onConnected(jsn) {
-    //     $SD.on(this.type + '.willAppear', (jsonObj) => this.onWillAppear(jsonObj))
-    //     $SD.on(this.type + '.didReceiveSettings', (jsonObj) => this.onDidReceiveSettings(jsonObj))
-    //     $SD.on(this.type + '.keyDown', (jsonObj) => this.onKeyDown(jsonObj))
-    //     $SD.on(this.type + '.keyUp', (jsonObj) => this.onKeyUp(jsonObj))
-    //     $SD.on(this.type + '.longPress', (jsonObj) => this.onLongPress(jsonObj))
-    //     $SD.on(this.type + '.sendToPlugin', (jsonObj) => this.onSendToPlugin(jsonObj))
-    //     $SD.on(this.type + '.propertyInspectorDidAppear', (jsonObj) => this.onPropertyInspectorDidAppear(jsonObj))
-    //     $SD.on(this.type + '.propertyInspectorDidDisappear', (jsonObj) => console.log("propertyInspectorDidDisappear"))
-    // }
+    onKeyUp(jsn, context) {
+        StreamDeck.showOk(context.context);
+    }
 
+    showName(context) {
+        this.setTitle(context, context.settings.name ?? '');
+    }
 }
@@ -1,34 +1,36 @@
 /// <reference path="../../../libs/js/stream-deck.js" />
 /// <reference path="../../../libs/js/form-utils.js" />
+/// <reference path="../../../libs/js/inspector-builder.js" />
+/// <reference path="../../../libs/js/external-window.js" />
+/// <reference path="../../../libs/js/logger.js" />
+/// <reference path="../../../libs/js/rpc.js" />
+/// <reference path="../../../libs/js/theme.js" />
 
-StreamDeck.onConnected((jsn) => {
-	StreamDeck.loadLocalization('../../../');
-
+StreamDeck.onConnected(async (jsn) => {
 	const form = document.querySelector('#property-inspector');
 	const { actionInfo, appInfo, connection, messageType, port, uuid } = jsn;
-	const { payload, context } = actionInfo;
-	const { settings } = payload;
 
-	FormUtils.setFormValue(settings, form);
+	Theme.apply(appInfo);
 
-	form.addEventListener(
-		'input',
-		FormUtils.debounce(150, () => {
-			const value = FormUtils.getFormValue(form);
-			StreamDeck.sendToPlugin(value, context);
-			StreamDeck.setSettings(value);
-		})
-	);
-});
+	// One inspector page serves every action, each action's controls are described in layouts.json
+	const layouts = await StreamDeck.readJson('layouts.json');
+	const fields = layouts[actionInfo.action] ?? [];
+
+	InspectorBuilder.render(fields, form);
+	InspectorBuilder.bind(form, actionInfo, fields);
+	StreamDeck.loadLocalization('../../../');
 
-/**
- * Provide window level functions to use in the external window
- * (this can be removed if the external window is not used)
- */
-window.sendToInspector = (data) => {
-	console.log(data);
-};
+	document.querySelector('#open-external')?.addEventListener('click', () => {
+		ExternalWindow.open('../../../external.html');
+	});
 
-document.querySelector('#open-external').addEventListener('click', () => {
-	window.open('../../../external.html');
+	// Copies the plugin's recent log records, for attaching to bug reports
+	document.querySelector('#copy-logs')?.addEventListener('click', async () => {
+		try {
+			const records = await Rpc.for().call(RPC_DUMP_LOGS);
+			await navigator.clipboard.writeText(records.map((record) => Logger.format(record)).join('\n'));
+		} catch (error) {
+			Logger.error('Copying the logs failed', error);
+		}
+	});
 });
@@ -1,69 +1,41 @@
 /// <reference path="libs/js/action.js" />
+/// <reference path="libs/js/logger.js" />
+/// <reference path="libs/js/rpc.js" />
 /// <reference path="libs/js/stream-deck.js" />
+/// <reference path="actions/sampleAction1.js" />
+/// <reference path="actions/sampleAction2.js" />
+/// <reference path="actions/sampleAction3.js" />
+
+Action.register(SampleAction1, SampleAction2, SampleAction3);
+
+// Property inspectors of every action can fetch the plugin's log
+Rpc.handle(RPC_DUMP_LOGS, (filter) => Logger.dump(filter));
 
 /**
  * The first event fired when Stream Deck starts
  */
 StreamDeck.onConnected(({ actionInfo, appInfo, connection, messageType, port, uuid }) => {
-	// TODO: Remove this test logging code and replace with simple action example
-	console.log({ object: 'stream-deck', event: 'onConnected' });
-
-	new Action('com.elgato.template.action1')
-		.onDidReceiveGlobalSettings(() => {
-			console.log({ object: 'action', event: 'onDidReceiveGlobalSettings' });
-		})
-		.onDidReceiveSettings(() => {
-			console.log({ object: 'action', event: 'onDidReceiveSettings' });
-		})
-		.onKeyDown(() => {
-			console.log({ object: 'action', event: 'onKeyDown' });
-		})
-		.onKeyUp(() => {
-			console.log({ object: 'action', event: 'onKeyUp' });
-		})
-		.onLongPress(() => {
-			console.log({ object: 'action', event: 'longPress' });
-		})
-		.onWillAppear(() => {
-			console.log({ object: 'action', event: 'onWillAppear' });
-		})
-		.onWillDisappear(() => {
-			console.log({ object: 'action', event: 'onWillDisappear' });
-		})
-		.onTitleParametersDidChange(() => {
-			console.log({ object: 'action', event: 'onTitleParametersDidChange' });
-		})
-		.onPropertyInspectorDidAppear(() => {
-			console.log({ object: 'action', event: 'onPropertyInspectorDidAppear' });
-		})
-		.onPropertyInspectorDidDisappear(() => {
-			console.log({ object: 'action', event: 'onPropertyInspectorDidDisappear' });
-		})
-		.onSendToPlugin(() => {
-			console.log({ object: 'action', event: 'onSendToPlugin' });
-		})
-		.onSendToPropertyInspector(() => {
-			console.log({ object: 'action', event: 'onSendToPropertyInspector' });
-		});
+	const log = Logger.channel(LOG_STREAM_DECK_CHANNEL);
+	StreamDeck.loadLocalization('');
 
-	StreamDeck.onDeviceDidConnect(() => {
-			console.log({ object: 'stream-deck', event: 'onDeviceDidConnect' });
+	StreamDeck.onDeviceDidConnect((jsn) => {
+			log.debug('deviceDidConnect', jsn);
 		})
-		.onDeviceDidDisconnect(() => {
-			console.log({ object: 'stream-deck', event: 'onDeviceDidDisconnect' });
+		.onDeviceDidDisconnect((jsn) => {
+			log.debug('deviceDidDisconnect', jsn);
 		})
-		.onSendToPropertyInspector(() => {
-			console.log({ object: 'stream-deck', event: 'onSendToPropertyInspector' });
+		.onSendToPropertyInspector((jsn) => {
+			log.debug('sendToPropertyInspector', jsn);
 		})
-		.onApplicationDidLaunch(() => {
+		.onApplicationDidLaunch((jsn) => {
 			// TODO: figure out why this event does not fire
-			console.log({ object: 'stream-deck', event: 'onApplicationDidLaunch' });
+			log.debug('applicationDidLaunch', jsn);
 		})
-		.onApplicationDidTerminate(() => {
+		.onApplicationDidTerminate((jsn) => {
 			// TODO: figure out why this event does not fire
-			console.log({ object: 'stream-deck', event: 'onApplicationDidTerminate' });
+			log.debug('applicationDidTerminate', jsn);
 		})
-		.onSystemDidWakeUp(() => {
-			console.log({ object: 'stream-deck', event: 'onSystemDidWakeUp' });
+		.onSystemDidWakeUp((jsn) => {
+			log.debug('systemDidWakeUp', jsn);
 		});
 });
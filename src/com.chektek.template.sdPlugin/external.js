@@ -1,5 +1,17 @@
-window.onload = () => {
+/// <reference path="libs/js/external-bridge.js" />
+/// <reference path="libs/js/theme.js" />
+
+window.onload = async () => {
+	const settingsNode = document.querySelector('#settings');
+	const showSettings = (settings) => (settingsNode.textContent = JSON.stringify(settings));
+
+	const { appInfo } = await ExternalBridge.connect();
+	Theme.apply(appInfo);
+	showSettings(await ExternalBridge.getSettings());
+
+	ExternalBridge.on(DID_RECEIVE_SETTINGS, ({ settings }) => showSettings(settings)).on(BRIDGE_CLOSE, () => window.close());
+
 	document.querySelector('#send').addEventListener('click', () => {
-		window.opener.sendToInspector('Message from external window.');
+		ExternalBridge.sendToPlugin({ message: 'Message from external window.' });
 	});
 };
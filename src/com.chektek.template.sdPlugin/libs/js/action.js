@@ -1,16 +1,224 @@
 /// <reference path="constants.js" />
+/// <reference path="context-registry.js" />
+/// <reference path="event-emitter.js" />
+/// <reference path="gesture.js" />
+/// <reference path="logger.js" />
+/// <reference path="rpc.js" />
+/// <reference path="settings-schema.js" />
+/// <reference path="state-machine.js" />
+/// <reference path="task-scheduler.js" />
+/// <reference path="title-formatter.js" />
 
 /**
  * @class Action
- * A Stream Deck plugin action, where you can register callback functions for different events
+ * A Stream Deck plugin action, where you can register callback functions for different events.
+ * Callbacks receive the event data and the Context of the key that sent it.
+ *
+ * Actions can also be declared as subclasses. Overridden onX methods, and onX arrow functions declared as class fields,
+ * are bound to their events once the constructor has returned. The UUID, gestureOptions, settingsSchema, states and tasks
+ * can be given as static fields:
+ *
+ * class Counter extends Action {
+ *     static UUID = 'com.chektek.template.counter';
+ *
+ *     onKeyUp(jsn, context) {
+ *         StreamDeck.setTitle(context.context, `${++context.settings.count}`);
+ *     }
+ * }
+ *
+ * Action.register(Counter);
+ *
+ * A subclass overriding onKeyUp registers further keyUp callbacks with this.on(KEY_UP, fn).
  */
 class Action {
+	static #registry = new Map();
 	UUID;
-	#on = EventEmitter.on;
-	isLongPress = false;
+	#on = (name, fn, options) => EventEmitter.on(name, fn, Object.assign({}, options, { owner: this }));
+
+	/**
+	 * @param {string} UUID - defaults to the static UUID of the subclass
+	 * @param {*} gestureOptions - thresholds for the gesture events, see Gesture.defaults
+	 */
+	constructor(UUID = new.target.UUID, gestureOptions = new.target.gestureOptions) {
+		if (!UUID) throw new Error(`${new.target.name} needs a UUID`);
 
-	constructor(UUID) {
 		this.UUID = UUID;
+		Gesture.bind(UUID, gestureOptions);
+
+		if (new.target.settingsSchema) this.setSettingsSchema(new.target.settingsSchema);
+		if (new.target.states) this.setStates(new.target.states);
+		new.target.tasks?.forEach((task) => this.schedule(task));
+
+		// Methods a subclass overrides become the callbacks of their events. Class fields of the subclass are only set
+		// after this constructor, so they are looked up once it has returned, still before any event arrives
+		queueMicrotask(() =>
+			Object.getOwnPropertyNames(Action.prototype)
+				.filter((name) => /^on[A-Z]/.test(name) && this[name] !== Action.prototype[name])
+				.forEach((name) => Action.prototype[name].call(this, (jsn, context) => this[name](jsn, context)))
+		);
+	}
+
+	/**
+	 * Creates and keeps the actions of the plugin
+	 * @param {...*} actions - Action subclasses with a static UUID, or Action instances
+	 * @returns {Action[]} the registered instances
+	 */
+	static register(...actions) {
+		return actions.map((entry) => {
+			if (Action.#registry.has(entry.UUID)) throw new Error(`An action is already registered for ${entry.UUID}`);
+
+			const action = entry instanceof Action ? entry : new entry();
+			Action.#registry.set(action.UUID, action);
+			return action;
+		});
+	}
+
+	/**
+	 * Returns the registered action of a UUID
+	 * @param {string} UUID
+	 * @returns {Action|undefined}
+	 */
+	static get(UUID) {
+		return Action.#registry.get(UUID);
+	}
+
+	/**
+	 * Returns every registered action
+	 * @returns {Action[]}
+	 */
+	static all() {
+		return Array.from(Action.#registry.values());
+	}
+
+	/**
+	 * Sets the gesture thresholds (longPressDelay, multiTapDelay, holdRepeatDelay, holdRepeatInterval) for this action
+	 * @param {*} options
+	 */
+	setGestureOptions(options) {
+		Gesture.bind(this.UUID, options);
+		return this;
+	}
+
+	/**
+	 * The channel for calls and notifications between this action and its property inspector
+	 * @returns {Rpc}
+	 */
+	get rpc() {
+		return Rpc.for(this.UUID);
+	}
+
+	/**
+	 * The logger of this action, its records are tagged with the action UUID
+	 * @returns {LoggerChannel}
+	 */
+	get log() {
+		return Logger.channel(this.UUID);
+	}
+
+	/**
+	 * Declares the settings of this action, incoming settings are migrated and validated before handlers see them
+	 * @param {*} schema - a SettingsSchema or its definition
+	 */
+	setSettingsSchema(schema) {
+		SettingsSchema.register(this.UUID, schema);
+		return this;
+	}
+
+	/**
+	 * Declares the named states of this action and the events moving keys between them, see StateMachine
+	 * @param {*} machine - a StateMachine or its definition
+	 */
+	setStates(machine) {
+		StateMachine.register(this.UUID, machine);
+		return this;
+	}
+
+	/**
+	 * Fires an event on a key of this action, moving it to the state the transitions table names
+	 * @param {Context|string} context
+	 * @param {string} event
+	 * @returns {Promise<boolean>} whether the state changed
+	 */
+	transition(context, event) {
+		return StateMachine.transition(context, event);
+	}
+
+	/**
+	 * Moves a key of this action to a named state
+	 * @param {Context|string} context
+	 * @param {string} name
+	 */
+	setStateName(context, name) {
+		return StateMachine.set(context, name);
+	}
+
+	/**
+	 * Sets the title of a key of this action, fitted to the key with the user's title font, see TitleFormatter
+	 * @param {Context|string} context
+	 * @param {string} template - the title, {name} and {name:format} placeholders are filled from values
+	 * @param {*} values
+	 * @param {*} options - overflow, maxLines, target and background
+	 * @returns {Promise<string[]>} the lines shown
+	 */
+	setTitle(context, template, values, options) {
+		return TitleFormatter.setTitle(context, template, values, options);
+	}
+
+	/**
+	 * Adds a periodic task to the keys of this action, running while they are visible, see TaskScheduler
+	 * @param {*} task - run, and optionally update, source, interval, jitter, backoff, maxDelay, wake and immediate
+	 */
+	schedule(task) {
+		TaskScheduler.register(this.UUID, task);
+		return this;
+	}
+
+	/**
+	 * Runs the tasks of a key of this action now, instead of waiting for their next run
+	 * @param {Context|string} context
+	 * @returns {Promise<void>}
+	 */
+	refresh(context) {
+		return TaskScheduler.refresh(context);
+	}
+
+	/**
+	 * Returns the Contexts of all visible instances of this action
+	 * @returns {Context[]}
+	 */
+	contexts() {
+		return ContextRegistry.all(this.UUID);
+	}
+
+	/**
+	 * Returns the Context of one instance of this action
+	 * @param {string} context
+	 * @returns {Context|undefined}
+	 */
+	getContext(context) {
+		const instance = ContextRegistry.get(context);
+		return instance?.action === this.UUID ? instance : undefined;
+	}
+
+	/**
+	 * Registers a callback function for any event of this action, * matches every event
+	 * @param {string} event - an event name or pattern, e.g. keyDown or *
+	 * @param {*} fn
+	 * @param {*} options - priority (higher runs first) and once
+	 */
+	on(event, fn, options) {
+		this.#on(`${this.UUID}.${event}`, (jsn, context) => fn(jsn, context), options);
+		return this;
+	}
+
+	/**
+	 * Removes the callback functions this action registered for one event, or for every event when omitted
+	 * @param {string} event
+	 */
+	off(event) {
+		if (event === undefined) EventEmitter.off(this);
+		else EventEmitter.off(event === DID_RECEIVE_GLOBAL_SETTINGS ? event : `${this.UUID}.${event}`, this);
+		return this;
 	}
 
 	/**
@@ -18,7 +226,7 @@ class Action {
 	 * @param {*} fn
 	 */
 	onDidReceiveSettings(fn) {
-		this.#on(`${this.UUID}.${DID_RECEIVE_SETTINGS}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${DID_RECEIVE_SETTINGS}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
@@ -36,28 +244,63 @@ class Action {
 	 * @param {*} fn
 	 */
 	onKeyDown(fn) {
-		console.log("PRESS");
-		console.log(this.UUID);
-		this.#on(`${this.UUID}.${KEY_DOWN}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${KEY_DOWN}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
 	/**
-	 * Registers a callback function for the keyUp event, which fires when releasing a key
+	 * Registers a callback function for the keyUp event, which fires when releasing a key that was not long pressed
 	 * @param {*} fn
 	 */
 	onKeyUp(fn) {
-		this.#on(`${this.UUID}.${KEY_UP}`, (jsn) => fn(jsn));
-		this.isLongPress = false;
+		this.#on(`${this.UUID}.${KEY_UP}`, (jsn, context) => fn(jsn, context));
+		return this;
+	}
+
+	/**
+	 * Registers a callback function for the longPress event, which fires when a key is held down (2 seconds by default)
+	 * @param {*} fn
+	 */
+	onLongPress(fn) {
+		this.#on(`${this.UUID}.${LONG_PRESS}`, (jsn, context) => fn(jsn, context));
+		return this;
+	}
+
+	/**
+	 * Registers a callback function for the holdRepeat event, which fires repeatedly while a long pressed key is held down
+	 * @param {*} fn
+	 */
+	onHoldRepeat(fn) {
+		this.#on(`${this.UUID}.${HOLD_REPEAT}`, (jsn, context) => fn(jsn, context));
+		return this;
+	}
+
+	/**
+	 * Registers a callback function for the doubleTap event, which fires when a key is tapped twice in a row
+	 * @param {*} fn
+	 */
+	onDoubleTap(fn) {
+		this.#on(`${this.UUID}.${DOUBLE_TAP}`, (jsn, context) => fn(jsn, context));
+		return this;
+	}
+
+	/**
+	 * Registers a callback function for the multiTap event, which fires when a key is tapped two or more times in a row.
+	 * The number of taps is passed in payload.tapCount
+	 * @param {*} fn
+	 */
+	onMultiTap(fn) {
+		this.#on(`${this.UUID}.${MULTI_TAP}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
 	/**
-	 * Registers a callback function for the longPress event, which fires when a key is held down for 2 seconds
+	 * Registers a callback function for the stateChange event, which fires when a key moves to another named state.
+	 * The payload holds from, to and the event causing the change
 	 * @param {*} fn
 	 */
-	 onLongPress(fn) {
-		this.#on(`${this.UUID}.${LONG_PRESS}`, (jsn) => fn(jsn));
+	onStateChange(fn) {
+		this.#on(`${this.UUID}.${STATE_CHANGE}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
@@ -66,7 +309,7 @@ class Action {
 	 * @param {*} fn
 	 */
 	onWillAppear(fn) {
-		this.#on(`${this.UUID}.${WILL_APPEAR}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${WILL_APPEAR}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
@@ -75,7 +318,7 @@ class Action {
 	 * @param {*} fn
 	 */
 	onWillDisappear(fn) {
-		this.#on(`${this.UUID}.${WILL_DISAPPEAR}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${WILL_DISAPPEAR}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
@@ -84,7 +327,7 @@ class Action {
 	 * @param {*} fn
 	 */
 	onTitleParametersDidChange(fn) {
-		this.#on(`${this.UUID}.${TITLE_PARAMETERS_DID_CHANGE}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${TITLE_PARAMETERS_DID_CHANGE}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
@@ -93,7 +336,7 @@ class Action {
 	 * @param {*} fn
 	 */
 	onPropertyInspectorDidAppear(fn) {
-		this.#on(`${this.UUID}.${PROPERTY_INSPECTOR_DID_APPEAR}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${PROPERTY_INSPECTOR_DID_APPEAR}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
@@ -102,7 +345,7 @@ class Action {
 	 * @param {*} fn
 	 */
 	onPropertyInspectorDidDisappear(fn) {
-		this.#on(`${this.UUID}.${PROPERTY_INSPECTOR_DID_DISAPPEAR}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${PROPERTY_INSPECTOR_DID_DISAPPEAR}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
@@ -111,7 +354,7 @@ class Action {
 	 * @param {*} fn
 	 */
 	onSendToPlugin(fn) {
-		this.#on(`${this.UUID}.${SEND_TO_PLUGIN}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${SEND_TO_PLUGIN}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 
@@ -120,7 +363,7 @@ class Action {
 	 * @param {*} fn
 	 */
 	onSendToPropertyInspector(fn) {
-		this.#on(`${this.UUID}.${SEND_TO_PROPERTY_INSPECTOR}`, (jsn) => fn(jsn));
+		this.#on(`${this.UUID}.${SEND_TO_PROPERTY_INSPECTOR}`, (jsn, context) => fn(jsn, context));
 		return this;
 	}
 }
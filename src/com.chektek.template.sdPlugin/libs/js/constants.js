@@ -26,6 +26,9 @@ const DID_RECEIVE_GLOBAL_SETTINGS = 'didReceiveGlobalSettings';
 const KEY_DOWN = 'keyDown';
 const KEY_UP = 'keyUp';
 const LONG_PRESS = 'longPress';
+const DOUBLE_TAP = 'doubleTap';
+const MULTI_TAP = 'multiTap';
+const HOLD_REPEAT = 'holdRepeat';
 const WILL_APPEAR = 'willAppear';
 const WILL_DISAPPEAR = 'willDisappear';
 const TITLE_PARAMETERS_DID_CHANGE = 'titleParametersDidChange';
@@ -39,6 +42,10 @@ const PROPERTY_INSPECTOR_DID_DISAPPEAR = 'propertyInspectorDidDisappear';
 const SEND_TO_PLUGIN = 'sendToPlugin';
 const SEND_TO_PROPERTY_INSPECTOR = 'sendToPropertyInspector';
 const CONNECTED = 'connected';
+const DISCONNECTED = 'disconnected';
+const RECONNECTED = 'reconnected';
+const CONTEXT_ADDED = 'contextAdded';
+const CONTEXT_REMOVED = 'contextRemoved';
 const SET_IMAGE = 'setImage';
 const SET_TITLE = 'setTitle';
 const SET_STATE = 'setState';
@@ -52,8 +59,52 @@ const GET_SETTINGS = 'getSettings';
 const REGISTER_PROPERTY_INSPECTOR = 'registerPropertyInspector';
 const REGISTER_PLUGIN = 'registerPlugin';
 const DATA_LOCALIZE = '[data-localize]';
+const LOCALIZE_SELECTOR = '[data-localize], [data-localize-attr]';
+const FALLBACK_LANGUAGE = 'en';
 const LOG_MESSAGE = 'logMessage';
 
+/**
+ * Logger levels and the channel of records logged without one
+ */
+const LOG_DEBUG = 'debug';
+const LOG_INFO = 'info';
+const LOG_WARN = 'warn';
+const LOG_ERROR = 'error';
+const LOG_DEFAULT_CHANNEL = 'default';
+const LOG_STREAM_DECK_CHANNEL = 'stream-deck';
+const LOG_EVENTS_CHANNEL = 'events';
+
+/**
+ * Outbound queue policies, used while the websocket is not open
+ */
+const QUEUE_KEEP = 'keep';
+const QUEUE_COALESCE = 'coalesce';
+const QUEUE_DROP = 'drop';
+
+/**
+ * Event fired by GlobalSettings when settings change, followed by the path of the changed setting,
+ * and the global settings key holding its metadata, which StreamDeck moves out of the settings it passes on
+ */
+const GLOBAL_SETTINGS_CHANGE = 'globalSettingsChange';
+const GLOBAL_SETTINGS_META_KEY = '__globalSettingsMeta';
+
+/**
+ * Payload key of the messages exchanged by Rpc
+ */
+const RPC_KEY = 'rpc';
+const RPC_DUMP_LOGS = 'dumpLogs';
+
+/**
+ * postMessage protocol between the property inspector and its external windows
+ */
+const EXTERNAL_BRIDGE_CHANNEL = 'streamDeckExternalBridge';
+const BRIDGE_HELLO = 'hello';
+const BRIDGE_WELCOME = 'welcome';
+const BRIDGE_REQUEST = 'request';
+const BRIDGE_RESPONSE = 'response';
+const BRIDGE_EVENT = 'event';
+const BRIDGE_CLOSE = 'close';
+
 /**
  * Destination
  */
@@ -62,6 +113,53 @@ const HARDWARE_ONLY = 1;
 const SOFTWARE_ONLY = 2;
 
 /**
- * Plugin State
+ * Key image size in pixels at 1x, @2x images are twice as large
+ */
+const KEY_IMAGE_SIZE = 72;
+
+/**
+ * Animation modes
+ */
+const ANIMATION_LOOP = 'loop';
+const ANIMATION_ONCE = 'once';
+const ANIMATION_PING_PONG = 'pingPong';
+
+/**
+ * A timer firing this many milliseconds late means the computer was asleep
+ */
+const SLEEP_DETECTION_GAP = 5000;
+
+/**
+ * Theme variants and the id of the style element holding the themed rules
+ */
+const THEME_DARK = 'dark';
+const THEME_LIGHT = 'light';
+const THEME_AUTO = 'auto';
+const THEME_STYLE_ID = 'sdpi-theme';
+
+/**
+ * Title layout: how TitleFormatter handles titles with more lines than the key holds, the space kept around them,
+ * their line height relative to the font size and the smallest font size they shrink to
+ */
+const TITLE_OVERFLOW_ELLIPSIS = 'ellipsis';
+const TITLE_OVERFLOW_SHRINK = 'shrink';
+const TITLE_PADDING = 4;
+const TITLE_LINE_HEIGHT = 1.2;
+const TITLE_MIN_FONT_SIZE = 6;
+
+/**
+ * What TaskScheduler does with a task whose runs were missed while the computer slept
+ */
+const WAKE_CATCH_UP = 'catchUp';
+const WAKE_SKIP = 'skip';
+
+/**
+ * Settings key holding the SettingsSchema version the settings were saved with
+ */
+const SETTINGS_VERSION_KEY = '_version';
+
+/**
+ * Settings key holding the name of the StateMachine state a key is in, and the event fired when it changes
  */
-const STATE_DEFAULT = "stateDefault";
+const SETTINGS_STATE_KEY = '_state';
+const STATE_CHANGE = 'stateChange';
@@ -0,0 +1,88 @@
+/// <reference path="constants.js" />
+/// <reference path="context.js" />
+/// <reference path="event-emitter.js" />
+/// <reference path="settings-schema.js" />
+
+/**
+ * @class ContextRegistry
+ * Keeps one Context per action instance (key), keyed by its context id.
+ * Contexts are created on willAppear, updated by every event of the instance and removed on willDisappear.
+ * Events of instances that are not visible, e.g. sendToPlugin after willDisappear, get a Context that is not kept.
+ * Settings are normalized by the action's SettingsSchema when they arrive on willAppear and didReceiveSettings,
+ * before the Context and the handlers see them. The settings other events carry do not replace those of the Context.
+ */
+class ContextRegistry {
+	static #contexts = new Map();
+	static #on = EventEmitter.on;
+	static #emit = EventEmitter.emit;
+
+	/**
+	 * Creates, updates or removes the Context an incoming event belongs to
+	 * @param {*} data - the parsed event sent by Stream Deck
+	 * @returns {Context|undefined} the resolved Context, or undefined when the event is not tied to an action instance
+	 */
+	static resolve(data) {
+		const { action, context, event } = data;
+		if (!action || !context) return undefined;
+
+		let instance = this.#contexts.get(context);
+
+		// Only willAppear and didReceiveSettings bring settings the plugin has not seen, the Context keeps the normalized ones
+		const hasNewSettings = event === WILL_APPEAR || event === DID_RECEIVE_SETTINGS;
+		if (hasNewSettings) SettingsSchema.apply(data, instance);
+
+		if (instance) {
+			instance.update(data, hasNewSettings);
+		} else if (event === WILL_APPEAR) {
+			instance = new Context(data);
+			this.#contexts.set(context, instance);
+			this.#emit(CONTEXT_ADDED, instance);
+		} else {
+			return new Context(data);
+		}
+
+		if (event === WILL_DISAPPEAR) {
+			this.#contexts.delete(context);
+			this.#emit(CONTEXT_REMOVED, instance);
+		}
+
+		return instance;
+	}
+
+	/**
+	 * Returns the Context of an action instance
+	 * @param {string} context
+	 * @returns {Context|undefined}
+	 */
+	static get(context) {
+		return this.#contexts.get(context);
+	}
+
+	/**
+	 * Returns all visible Contexts, optionally limited to one action UUID
+	 * @param {string} [action]
+	 * @returns {Context[]}
+	 */
+	static all(action) {
+		const contexts = Array.from(this.#contexts.values());
+		return action ? contexts.filter((instance) => instance.action === action) : contexts;
+	}
+
+	/**
+	 * Registers a callback function for when a new action instance appears
+	 * @param {*} fn
+	 */
+	static onAdded(fn) {
+		this.#on(CONTEXT_ADDED, (instance) => fn(instance));
+		return this;
+	}
+
+	/**
+	 * Registers a callback function for when an action instance disappears
+	 * @param {*} fn
+	 */
+	static onRemoved(fn) {
+		this.#on(CONTEXT_REMOVED, (instance) => fn(instance));
+		return this;
+	}
+}
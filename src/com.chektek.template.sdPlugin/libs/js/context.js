@@ -8,20 +8,39 @@
 class Context {
     clickCount  = 0;
     downtimer   = null;
+    taptimer    = null;
+    repeattimer = null;
     isLongPress = false;
-    stateName   = STATE_DEFAULT;
+    stateName   = null;
     action      = "";
     context     = "";
-    coordinates = "";
-    settings    = "";
+    device      = "";
+    coordinates = null;
+    titleParameters = null;
+    settings    = {};
+    state       = 0;
+    isInMultiAction = false;
 
     constructor(data) {
         this.update(data);
     }
 
-    update(data){
-        const {action, context, coordinates, settings} = data;
-        this.action = action;
-        this.coordinates = coordinates;
+    /**
+     * @param {*} data - the parsed event sent by Stream Deck
+     * @param {boolean} withSettings - false keeps the settings, for events that repeat the stored settings
+     */
+    update(data, withSettings = true){
+        const {action, context, device, event} = data;
+        this.action = action ?? this.action;
+        this.context = context ?? this.context;
+        this.device = device ?? this.device;
+
+        // sendToPlugin carries a user defined payload, not instance data
+        const payload = (event !== SEND_TO_PLUGIN && data.payload) || {};
+        if ('coordinates' in payload) this.coordinates = payload.coordinates;
+        if (withSettings && 'settings' in payload) this.settings = payload.settings ?? {};
+        if ('state' in payload) this.state = payload.state;
+        if ('isInMultiAction' in payload) this.isInMultiAction = payload.isInMultiAction;
+        if ('titleParameters' in payload) this.titleParameters = payload.titleParameters;
     }
-}
\ No newline at end of file
+}
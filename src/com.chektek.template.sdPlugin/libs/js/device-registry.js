@@ -0,0 +1,123 @@
+/// <reference path="constants.js" />
+/// <reference path="context-registry.js" />
+
+/**
+ * @class DeviceRegistry
+ * Keeps the connected Stream Deck devices, seeded from appInfo.devices and updated by deviceDidConnect/deviceDidDisconnect.
+ * Visible keys are indexed by device and coordinates, to find keys by position and build widgets spanning adjacent keys:
+ *
+ * const right = DeviceRegistry.neighbors(context).right;
+ * const meter = DeviceRegistry.find('com.chektek.template.meter', context.device);
+ *
+ * Keys inside a multi action have no coordinates and are not indexed.
+ */
+class DeviceRegistry {
+	static #devices = new Map();
+	static #keys = new Map();
+	static #bound = false;
+
+	/**
+	 * Replaces the known devices, called with appInfo.devices when connecting
+	 * @param {*[]} devices
+	 */
+	static reset(devices = []) {
+		if (!this.#bound) {
+			this.#bound = true;
+			ContextRegistry.onAdded((context) => this.#index(context)).onRemoved((context) => this.#unindex(context));
+		}
+
+		this.#devices.clear();
+		devices.forEach(({ id, name, type, size }) => this.#set(id, { name, type, size }));
+	}
+
+	/**
+	 * Adds or removes a device for a deviceDidConnect or deviceDidDisconnect event
+	 * @param {*} data - the parsed event sent by Stream Deck
+	 */
+	static resolve({ event, device, deviceInfo }) {
+		if (event === DEVICE_DID_CONNECT) this.#set(device, deviceInfo ?? {});
+		if (event === DEVICE_DID_DISCONNECT) this.#devices.delete(device);
+	}
+
+	/**
+	 * Returns a connected device: id, name, type, columns and rows
+	 * @param {string} id
+	 * @returns {*}
+	 */
+	static get(id) {
+		return this.#devices.get(id);
+	}
+
+	/**
+	 * Returns every connected device
+	 * @returns {*[]}
+	 */
+	static all() {
+		return Array.from(this.#devices.values());
+	}
+
+	/**
+	 * Returns the Context of the key at a position
+	 * @param {string} device
+	 * @param {number} column
+	 * @param {number} row
+	 * @returns {Context|undefined}
+	 */
+	static at(device, column, row) {
+		return this.#keys.get(device)?.get(`${column},${row}`);
+	}
+
+	/**
+	 * Returns the Contexts of the keys around a key, by direction. Diagonals are named upLeft, upRight, downLeft and downRight
+	 * @param {Context|string} context - the Context or its id
+	 * @param {*} options - diagonal to include the diagonal neighbors
+	 * @returns {*}
+	 */
+	static neighbors(context, { diagonal = false } = {}) {
+		const instance = typeof context === 'string' ? ContextRegistry.get(context) : context;
+		if (!instance?.coordinates) return {};
+
+		const { column, row } = instance.coordinates;
+		const directions = Object.assign(
+			{ left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] },
+			diagonal ? { upLeft: [-1, -1], upRight: [1, -1], downLeft: [-1, 1], downRight: [1, 1] } : {}
+		);
+
+		return Object.fromEntries(
+			Object.entries(directions)
+				.map(([direction, [x, y]]) => [direction, this.at(instance.device, column + x, row + y)])
+				.filter(([, neighbor]) => neighbor)
+		);
+	}
+
+	/**
+	 * Returns the Contexts of the keys of a device, optionally limited to one action, ordered by row and column
+	 * @param {string} action - an action UUID, or null for every action
+	 * @param {string} device
+	 * @returns {Context[]}
+	 */
+	static find(action, device) {
+		return Array.from(this.#keys.get(device)?.values() ?? [])
+			.filter((context) => !action || context.action === action)
+			.sort((a, b) => a.coordinates.row - b.coordinates.row || a.coordinates.column - b.coordinates.column);
+	}
+
+	static #set(id, { name, type, size }) {
+		this.#devices.set(id, { id, name, type, columns: size?.columns ?? 0, rows: size?.rows ?? 0 });
+	}
+
+	static #index(context) {
+		if (!context.coordinates) return;
+
+		if (!this.#keys.has(context.device)) this.#keys.set(context.device, new Map());
+		this.#keys.get(context.device).set(`${context.coordinates.column},${context.coordinates.row}`, context);
+	}
+
+	static #unindex(context) {
+		const keys = this.#keys.get(context.device);
+		const key = context.coordinates && `${context.coordinates.column},${context.coordinates.row}`;
+
+		if (keys?.get(key) === context) keys.delete(key);
+		if (keys?.size === 0) this.#keys.delete(context.device);
+	}
+}
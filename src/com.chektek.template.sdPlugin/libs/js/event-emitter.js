@@ -1,33 +1,147 @@
+/// <reference path="constants.js" />
+/// <reference path="logger.js" />
+
+/**
+ * @class EventEmitter
+ * Named events with priorities, one-time handlers and wildcard patterns.
+ * A * in a pattern matches any characters, dots included, so `*.keyDown` matches the keyDown of every action
+ * and `com.chektek.template.action1.*` matches every event of that action.
+ *
+ * Handlers run synchronously, highest priority first. emit resolves once async handlers settle, and errors
+ * thrown or rejected by a handler are written to the log instead of stopping the other handlers.
+ *
+ * The static methods delegate to EventEmitter.global, which StreamDeck emits on. Instances are independent.
+ */
 class EventEmitter {
-    static eventList = new Map();
+    static global = new EventEmitter();
+
+    #handlers = new Map();
+    #patterns = [];
+    #sequence = 0;
 
-    static on(name, fn) {
-        if (!EventEmitter.eventList.has(name)) {
-            EventEmitter.eventList.set(name, EventEmitter.pubSub());
+    /**
+     * Registers a handler for an event name or pattern
+     * @param {string} name
+     * @param {*} fn
+     * @param {*} options - priority (higher runs first, 0 by default), once, and owner to remove handlers by with off
+     * @returns {function} removes the handler
+     */
+    on(name, fn, { priority = 0, once = false, owner = null } = {}) {
+        const handler = { name, fn, priority, once, owner, sequence: this.#sequence++ };
+
+        if (name.includes('*')) {
+            handler.pattern = new RegExp(`^${name.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            this.#patterns.push(handler);
+        } else {
+            if (!this.#handlers.has(name)) this.#handlers.set(name, []);
+            this.#handlers.get(name).push(handler);
         }
 
-        return EventEmitter.eventList.get(name).sub(fn);
+        return () => this.#remove((entry) => entry === handler);
     }
 
-    static has(name) {
-        return EventEmitter.eventList.has(name);
+    /**
+     * Registers a handler that is removed after its first call. Without a handler, returns a promise of the event data
+     * @param {string} name
+     * @param {*} fn
+     * @param {*} options - see on
+     * @returns {function|Promise<*[]>}
+     */
+    once(name, fn, options = {}) {
+        if (!fn) return new Promise((resolve) => this.on(name, (...data) => resolve(data), Object.assign({}, options, { once: true })));
+
+        return this.on(name, fn, Object.assign({}, options, { once: true }));
+    }
+
+    /**
+     * Removes handlers: off(name), off(name, fn), off(name, owner) or off(owner) for every handler of an owner
+     * @param {*} nameOrOwner
+     * @param {*} fnOrOwner
+     */
+    off(nameOrOwner, fnOrOwner) {
+        if (typeof nameOrOwner !== 'string') {
+            this.#remove((handler) => handler.owner === nameOrOwner);
+            return;
+        }
+
+        this.#remove(
+            (handler) =>
+                handler.name === nameOrOwner &&
+                (fnOrOwner === undefined || handler.fn === fnOrOwner || handler.owner === fnOrOwner)
+        );
     }
 
-    static emit(name, data) {
-        return EventEmitter.eventList.has(name) && EventEmitter.eventList.get(name).pub(data);
+    /**
+     * Returns true when a handler or pattern matches the event name
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.#handlers.has(name) || this.#patterns.some((handler) => handler.pattern.test(name));
     }
 
-    static pubSub() {
-        const subscribers = new Set();
+    /**
+     * Calls the handlers of an event
+     * @param {string} name
+     * @param {...*} data
+     * @returns {Promise<boolean>} resolves once every handler settled, with whether any handler was called
+     */
+    emit(name, ...data) {
+        const handlers = (this.#handlers.get(name) ?? [])
+            .concat(this.#patterns.filter((handler) => handler.pattern.test(name)))
+            .sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+
+        const results = handlers.map((handler) => {
+            if (handler.once) this.#remove((entry) => entry === handler);
+
+            try {
+                return Promise.resolve(handler.fn(...data)).catch((error) => EventEmitter.#fail(name, error));
+            } catch (error) {
+                EventEmitter.#fail(name, error);
+            }
+        });
 
-        const sub = (fn) => {
-            subscribers.add(fn);
-            return () => {
-                subscribers.delete(fn);
-            };
-        };
+        return Promise.all(results).then(() => handlers.length > 0);
+    }
+
+    /**
+     * Removes every handler
+     */
+    clear() {
+        this.#handlers.clear();
+        this.#patterns = [];
+    }
+
+    #remove(match) {
+        this.#handlers.forEach((handlers, name) => {
+            const kept = handlers.filter((handler) => !match(handler));
+            if (kept.length) this.#handlers.set(name, kept);
+            else this.#handlers.delete(name);
+        });
+        this.#patterns = this.#patterns.filter((handler) => !match(handler));
+    }
+
+    static #fail(name, error) {
+        Logger.channel(LOG_EVENTS_CHANNEL).error(`Handler for ${name} failed`, error);
+    }
+
+    static on(name, fn, options) {
+        return EventEmitter.global.on(name, fn, options);
+    }
+
+    static once(name, fn, options) {
+        return EventEmitter.global.once(name, fn, options);
+    }
+
+    static off(nameOrOwner, fnOrOwner) {
+        return EventEmitter.global.off(nameOrOwner, fnOrOwner);
+    }
+
+    static has(name) {
+        return EventEmitter.global.has(name);
+    }
 
-        const pub = (data) => subscribers.forEach((fn) => fn(data));
-        return Object.freeze({pub, sub});
+    static emit(name, ...data) {
+        return EventEmitter.global.emit(name, ...data);
     }
 }
@@ -0,0 +1,167 @@
+/// <reference path="constants.js" />
+
+/**
+ * @class ExternalBridge
+ * The external window's side of the ExternalWindow protocol. It talks to the property inspector that opened the window:
+ *
+ * const { actionInfo } = await ExternalBridge.connect();
+ * const settings = await ExternalBridge.getSettings();
+ * ExternalBridge.on('didReceiveSettings', ({ settings }) => render(settings));
+ */
+class ExternalBridge {
+	static #pending = new Map();
+	static #listeners = new Map();
+	static #nextId = 0;
+	static #connection = null;
+	static #listening = false;
+
+	/**
+	 * Default time in milliseconds to wait for a response
+	 */
+	static timeout = 5000;
+
+	/**
+	 * Performs the handshake with the owning property inspector
+	 * @param {number} timeout - milliseconds before the promise rejects
+	 * @returns {Promise<*>} the inspector's actionInfo and appInfo
+	 */
+	static connect(timeout = this.timeout) {
+		if (this.#connection) return this.#connection;
+
+		this.#connection = new Promise((resolve, reject) => {
+			if (!window.opener) {
+				reject(new Error('This window was not opened by a property inspector'));
+				return;
+			}
+
+			// The inspector may still be loading, say hello until it answers
+			const hello = setInterval(() => this.#post({ type: BRIDGE_HELLO }), 100);
+			const timer = setTimeout(() => {
+				clearInterval(hello);
+				this.#connection = null;
+				reject(new Error(`No answer from the property inspector after ${timeout}ms`));
+			}, timeout);
+
+			this.#pending.set(BRIDGE_WELCOME, (payload) => {
+				clearInterval(hello);
+				clearTimeout(timer);
+				resolve(payload);
+			});
+
+			// A retry after a timeout keeps the listener of the first attempt
+			if (!this.#listening) {
+				this.#listening = true;
+				window.addEventListener('message', (evt) => this.#receive(evt));
+			}
+
+			this.#post({ type: BRIDGE_HELLO });
+		});
+
+		return this.#connection;
+	}
+
+	/**
+	 * Returns the settings of the inspector's action
+	 * @returns {Promise<*>}
+	 */
+	static getSettings() {
+		return this.call('getSettings');
+	}
+
+	/**
+	 * Saves settings of the inspector's action, merged into its current settings
+	 * @param {*} settings
+	 * @returns {Promise<void>}
+	 */
+	static setSettings(settings) {
+		return this.call('setSettings', settings);
+	}
+
+	/**
+	 * Returns the plugin's global settings
+	 * @returns {Promise<*>}
+	 */
+	static getGlobalSettings() {
+		return this.call('getGlobalSettings');
+	}
+
+	/**
+	 * Saves the plugin's global settings
+	 * @param {*} settings
+	 * @returns {Promise<void>}
+	 */
+	static setGlobalSettings(settings) {
+		return this.call('setGlobalSettings', settings);
+	}
+
+	/**
+	 * Sends a payload to the plugin through the inspector
+	 * @param {*} payload
+	 * @returns {Promise<void>}
+	 */
+	static sendToPlugin(payload) {
+		return this.call('sendToPlugin', payload);
+	}
+
+	/**
+	 * Calls one of ExternalWindow.methods in the inspector
+	 * @param {string} method
+	 * @param {*} params
+	 * @returns {Promise<*>}
+	 */
+	static async call(method, params) {
+		await this.connect();
+		const id = ++this.#nextId;
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.#pending.delete(id);
+				reject(new Error(`${method} timed out after ${this.timeout}ms`));
+			}, this.timeout);
+
+			this.#pending.set(id, ({ result, error }) => {
+				clearTimeout(timer);
+				error ? reject(new Error(error)) : resolve(result);
+			});
+
+			this.#post({ type: BRIDGE_REQUEST, id, method, params });
+		});
+	}
+
+	/**
+	 * Registers a callback function for an event forwarded by the inspector
+	 * (didReceiveSettings, didReceiveGlobalSettings, sendToPropertyInspector or close)
+	 * @param {string} event
+	 * @param {*} fn
+	 */
+	static on(event, fn) {
+		if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+		this.#listeners.get(event).add(fn);
+		return this;
+	}
+
+	static #receive({ data, source }) {
+		if (data?.channel !== EXTERNAL_BRIDGE_CHANNEL || source !== window.opener) return;
+
+		switch (data.type) {
+			case BRIDGE_WELCOME:
+				this.#pending.get(BRIDGE_WELCOME)?.(data.payload);
+				this.#pending.delete(BRIDGE_WELCOME);
+				break;
+			case BRIDGE_RESPONSE:
+				this.#pending.get(data.id)?.(data);
+				this.#pending.delete(data.id);
+				break;
+			case BRIDGE_EVENT:
+				this.#listeners.get(data.event)?.forEach((fn) => fn(data.payload));
+				break;
+			case BRIDGE_CLOSE:
+				this.#listeners.get(BRIDGE_CLOSE)?.forEach((fn) => fn());
+				break;
+		}
+	}
+
+	static #post(message) {
+		window.opener.postMessage(Object.assign({ channel: EXTERNAL_BRIDGE_CHANNEL }, message), '*');
+	}
+}
@@ -0,0 +1,125 @@
+/// <reference path="constants.js" />
+/// <reference path="event-emitter.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class ExternalWindow
+ * Opens external windows from the property inspector and answers their ExternalBridge requests.
+ * External windows can get and set the settings and global settings of the inspector's action and send to the plugin,
+ * they receive didReceiveSettings, didReceiveGlobalSettings and sendToPropertyInspector events,
+ * and they are closed when the property inspector disappears.
+ */
+class ExternalWindow {
+	static #windows = new Map();
+	static #on = EventEmitter.on;
+	static #emit = EventEmitter.emit;
+	static #initialized = false;
+
+	/**
+	 * Methods external windows can call
+	 */
+	static methods = {
+		getSettings: () => StreamDeck.fetchSettings(),
+		setSettings: (values) => {
+			const { action, context, payload } = StreamDeck.actionInfo;
+			// Merged into the current settings, which keep the ones the window does not know about
+			const settings = Object.assign({}, payload?.settings, values);
+			StreamDeck.setSettings(settings);
+			// Stream Deck does not echo settings to the sender, tell the inspector itself about them
+			ExternalWindow.#emit(`${action}.${DID_RECEIVE_SETTINGS}`, { action, event: DID_RECEIVE_SETTINGS, context, payload: { settings } });
+		},
+		getGlobalSettings: () => StreamDeck.fetchGlobalSettings(),
+		setGlobalSettings: (settings) => StreamDeck.setGlobalSettings(settings),
+		sendToPlugin: (payload) => StreamDeck.sendToPlugin(payload),
+	};
+
+	/**
+	 * Opens an external window, or focuses it when a window with the same name is already open
+	 * @param {string} url - relative to the property inspector page
+	 * @param {*} options - name and window.open features
+	 * @returns {Window}
+	 */
+	static open(url, { name = 'external', features } = {}) {
+		this.#initialize();
+
+		const existing = this.#windows.get(name);
+		if (existing && !existing.closed) {
+			existing.focus();
+			return existing;
+		}
+
+		const external = window.open(url, name, features);
+		if (external) this.#windows.set(name, external);
+		return external;
+	}
+
+	/**
+	 * Closes an external window
+	 * @param {string} name
+	 */
+	static close(name = 'external') {
+		const external = this.#windows.get(name);
+		this.#windows.delete(name);
+		if (!external || external.closed) return;
+
+		this.#post(external, { type: BRIDGE_CLOSE });
+		external.close();
+	}
+
+	/**
+	 * Closes all external windows
+	 */
+	static closeAll() {
+		Array.from(this.#windows.keys()).forEach((name) => this.close(name));
+	}
+
+	/**
+	 * Sends an event to all open external windows
+	 * @param {string} event
+	 * @param {*} payload
+	 */
+	static broadcast(event, payload) {
+		this.#windows.forEach((external) => !external.closed && this.#post(external, { type: BRIDGE_EVENT, event, payload }));
+	}
+
+	static #initialize() {
+		if (this.#initialized) return;
+		this.#initialized = true;
+
+		const { action } = StreamDeck.actionInfo ?? {};
+
+		window.addEventListener('message', (evt) => this.#receive(evt));
+		window.addEventListener('pagehide', () => this.closeAll());
+
+		[`${action}.${DID_RECEIVE_SETTINGS}`, `${action}.${SEND_TO_PROPERTY_INSPECTOR}`, DID_RECEIVE_GLOBAL_SETTINGS].forEach((name) => {
+			this.#on(name, (jsn) => this.broadcast(jsn.event, jsn.payload));
+		});
+	}
+
+	static async #receive({ data, source }) {
+		if (data?.channel !== EXTERNAL_BRIDGE_CHANNEL || !Array.from(this.#windows.values()).includes(source)) return;
+
+		if (data.type === BRIDGE_HELLO) {
+			this.#post(source, {
+				type: BRIDGE_WELCOME,
+				payload: { actionInfo: StreamDeck.actionInfo, appInfo: StreamDeck.appInfo },
+			});
+			return;
+		}
+
+		if (data.type !== BRIDGE_REQUEST) return;
+
+		const { id, method, params } = data;
+
+		try {
+			if (!Reflect.has(this.methods, method)) throw new Error(`Unknown method ${method}`);
+			this.#post(source, { type: BRIDGE_RESPONSE, id, result: await this.methods[method](params) });
+		} catch (e) {
+			this.#post(source, { type: BRIDGE_RESPONSE, id, error: e?.message ?? `${e}` });
+		}
+	}
+
+	static #post(target, message) {
+		target.postMessage(Object.assign({ channel: EXTERNAL_BRIDGE_CHANNEL }, message), '*');
+	}
+}
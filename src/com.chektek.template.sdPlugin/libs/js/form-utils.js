@@ -1,10 +1,16 @@
 class FormUtils {
+	static #ignoredTypes = ['button', 'submit', 'reset', 'fieldset', 'output', undefined];
+
 	/**
-	 * Returns the value from a form using the form controls name property
+	 * Returns the value from a form using the form controls name property.
+	 * Values are typed: numbers and ranges are numbers, a single checkbox is a boolean, checkbox groups (several
+	 * checkboxes of one name, or one with a data-group attribute) and multi-selects are arrays and file inputs are cleaned paths. A data-type attribute (number, boolean, string, json)
+	 * overrides the type. Dotted or bracketed names (a.b, a[b], list[0]) build nested objects, a trailing [] forces an array
 	 * @param {*} form
+	 * @param {*} [settings] - values the form values are written into, values without a control are kept
 	 * @returns
 	 */
-	static getFormValue(form) {
+	static getFormValue(form, settings = {}) {
 		if (typeof form === 'string') {
 			form = document.querySelector(form);
 		}
@@ -15,25 +21,18 @@ class FormUtils {
 			throw 'Could not find form!';
 		}
 
-		const formData = new FormData(form);
-		let formValue = {};
+		let formValue = JSON.parse(JSON.stringify(settings ?? {}));
 
-		formData.forEach((value, key) => {
-			if (!Reflect.has(formValue, key)) {
-				formValue[key] = value;
-				return;
-			}
-			if (!Array.isArray(formValue[key])) {
-				formValue[key] = [formValue[key]];
-			}
-			formValue[key].push(value);
+		FormUtils.#groupByName(elements).forEach((controls, name) => {
+			FormUtils.#setPath(formValue, name, FormUtils.#readControls(name, controls));
 		});
 
 		return formValue;
 	}
 
 	/**
-	 * Sets the value of form controls using their name attribute and the jsn object key
+	 * Sets the value of form controls using their name attribute and the jsn object key.
+	 * Accepts the values returned by getFormValue, so setFormValue(getFormValue(form), form) changes nothing
 	 * @param {*} jsn
 	 * @param {*} form
 	 */
@@ -48,22 +47,148 @@ class FormUtils {
 			throw 'Could not find form!';
 		}
 
-		Array.from(elements)
-			.filter((element) => element?.name)
-			.forEach((element) => {
-				const { name, type } = element;
-				const value = jsn[name];
-				const isCheckOrRadio = type === 'checkbox' || type === 'radio';
-				console.log(element.type)
-				if (isCheckOrRadio) {
-					const isSingle = value === element.value;
-					if (isSingle || (Array.isArray(value) && value.includes(element.value))) {
-						element.checked = true;
-					}
+		FormUtils.#groupByName(elements).forEach((controls, name) => {
+			const value = FormUtils.#getPath(jsn ?? {}, name);
+			const isGroup = FormUtils.#isGroup(name, controls);
+
+			controls.forEach((element) => {
+				const { type } = element;
+
+				if (type === 'checkbox') {
+					element.checked = isGroup
+						? Array.isArray(value) && value.map(String).includes(element.value)
+						: value === true || value === 'true' || (typeof value === 'string' && value === element.value);
+				} else if (type === 'radio') {
+					element.checked = value !== null && value !== undefined && `${value}` === element.value;
+				} else if (type === 'select-multiple') {
+					const selected = (Array.isArray(value) ? value : [value]).map(String);
+					Array.from(element.options).forEach((option) => (option.selected = selected.includes(option.value)));
+				} else if (type === 'file') {
+					FormUtils.#setFilePath(element, value);
+				} else if (value !== null && typeof value === 'object' && element.dataset.type === 'json') {
+					element.value = JSON.stringify(value);
 				} else {
 					element.value = value ?? '';
 				}
 			});
+		});
+	}
+
+	/**
+	 * Removes the C:\fakepath\ prefix Stream Deck adds to file input values and decodes the path
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	static cleanFilePath(value) {
+		const path = `${value ?? ''}`.replace(/^C:\\fakepath\\/, '');
+
+		try {
+			return decodeURIComponent(path);
+		} catch (e) {
+			return path;
+		}
+	}
+
+	static #groupByName(elements) {
+		const groups = new Map();
+
+		Array.from(elements)
+			.filter((element) => element?.name && !element.disabled && !FormUtils.#ignoredTypes.includes(element.type))
+			.forEach((element) => {
+				if (!groups.has(element.name)) groups.set(element.name, []);
+				groups.get(element.name).push(element);
+			});
+
+		return groups;
+	}
+
+	static #isGroup(name, controls) {
+		return name.endsWith('[]') || (controls[0].type === 'checkbox' && (controls.length > 1 || 'group' in controls[0].dataset));
+	}
+
+	static #readControls(name, controls) {
+		const [first] = controls;
+		const { type } = first;
+
+		if (type === 'checkbox' && FormUtils.#isGroup(name, controls)) {
+			return controls.filter((element) => element.checked).map((element) => FormUtils.#coerce(element.value, element));
+		}
+
+		if (type === 'checkbox') {
+			return first.dataset.type ? (first.checked ? FormUtils.#coerce(first.value, first) : null) : first.checked;
+		}
+
+		if (type === 'radio') {
+			const checked = controls.find((element) => element.checked);
+			return checked ? FormUtils.#coerce(checked.value, checked) : null;
+		}
+
+		const values = controls.map((element) => FormUtils.#readControl(element));
+		return values.length > 1 || name.endsWith('[]') ? values.flat() : values[0];
+	}
+
+	static #readControl(element) {
+		switch (element.type) {
+			case 'select-multiple':
+				return Array.from(element.selectedOptions).map((option) => FormUtils.#coerce(option.value, element));
+			case 'number':
+			case 'range':
+				return element.value === '' ? null : FormUtils.#coerce(element.value, element, 'number');
+			case 'file':
+				return element.value ? FormUtils.cleanFilePath(element.value) : element.dataset.filePath ?? '';
+			case 'color':
+				return element.value.toLowerCase();
+			default:
+				return FormUtils.#coerce(element.value, element);
+		}
+	}
+
+	static #coerce(value, element, fallbackType = 'string') {
+		switch (element.dataset.type ?? fallbackType) {
+			case 'number':
+				return value === '' || isNaN(Number(value)) ? null : Number(value);
+			case 'boolean':
+				return value === 'true' || value === 'on' || value === '1';
+			case 'json':
+				try {
+					return JSON.parse(value);
+				} catch (e) {
+					return null;
+				}
+			default:
+				return value;
+		}
+	}
+
+	static #setFilePath(element, value) {
+		const path = value ?? '';
+		element.dataset.filePath = path;
+
+		const info = element.id && element.form?.querySelector(`.sdpi-file-info[for="${element.id}"]`);
+		if (info && path) info.textContent = path.split(/[\\/]/).pop();
+	}
+
+	static #pathKeys(name) {
+		return name.replace(/\[\]$/, '').match(/[^.[\]]+/g) ?? [name];
+	}
+
+	static #getPath(object, name) {
+		if (Reflect.has(object, name)) return object[name];
+		return FormUtils.#pathKeys(name).reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+	}
+
+	static #setPath(object, name, value) {
+		const keys = FormUtils.#pathKeys(name);
+		const last = keys.pop();
+
+		const target = keys.reduce((parent, key, index) => {
+			if (parent[key] === null || typeof parent[key] !== 'object') {
+				parent[key] = /^\d+$/.test(keys[index + 1] ?? last) ? [] : {};
+			}
+			return parent[key];
+		}, object);
+
+		target[last] = value;
 	}
 
 	/**
@@ -0,0 +1,107 @@
+/// <reference path="constants.js" />
+/// <reference path="context-registry.js" />
+/// <reference path="event-emitter.js" />
+
+/**
+ * @class Gesture
+ * Turns the raw keyDown/keyUp events of an action into longPress, doubleTap, multiTap and holdRepeat events.
+ * Gesture state is kept on each key's Context, so every key instance is tracked on its own.
+ * StreamDeck passes key events to Gesture before dispatching them, the keyUp ending a long press is not dispatched at all.
+ */
+class Gesture {
+	static #options = new Map();
+	static #emit = EventEmitter.emit;
+
+	/**
+	 * Default thresholds in milliseconds
+	 */
+	static defaults = {
+		longPressDelay: 2000,
+		multiTapDelay: 300,
+		holdRepeatDelay: 500,
+		holdRepeatInterval: 100,
+	};
+
+	/**
+	 * Starts tracking gestures for an action UUID, or updates its thresholds when it is already tracked
+	 * @param {string} UUID
+	 * @param {*} options - any of the keys in Gesture.defaults
+	 */
+	static bind(UUID, options = {}) {
+		if (this.#options.size === 0) {
+			ContextRegistry.onRemoved((context) => this.#clearTimers(context));
+		}
+
+		this.#options.set(UUID, Object.assign({}, this.defaults, this.#options.get(UUID), options));
+	}
+
+	/**
+	 * Returns the thresholds used for an action UUID
+	 * @param {string} UUID
+	 * @returns {*}
+	 */
+	static getOptions(UUID) {
+		return this.#options.get(UUID) ?? Object.assign({}, this.defaults);
+	}
+
+	/**
+	 * Tracks the gestures of an incoming event, before it is dispatched
+	 * @param {*} data - the parsed event sent by Stream Deck
+	 * @param {Context} context
+	 * @returns {boolean} false when the event is consumed by a gesture and must not be dispatched
+	 */
+	static track(data, context) {
+		const { action: UUID, event } = data;
+		if (!context || !this.#options.has(UUID)) return true;
+
+		if (event === KEY_DOWN) this.#keyDown(UUID, data, context);
+		if (event === KEY_UP) return this.#keyUp(UUID, data, context);
+		return true;
+	}
+
+	static #keyDown(UUID, jsn, context) {
+		const { longPressDelay, holdRepeatDelay, holdRepeatInterval } = this.getOptions(UUID);
+
+		this.#clearTimers(context);
+		context.isLongPress = false;
+		context.downtimer = setTimeout(() => {
+			context.downtimer = null;
+			context.isLongPress = true;
+			context.clickCount = 0;
+			this.#emit(`${UUID}.${LONG_PRESS}`, Object.assign({}, jsn, { event: LONG_PRESS }), context);
+
+			context.repeattimer = setTimeout(function repeat() {
+				Gesture.#emit(`${UUID}.${HOLD_REPEAT}`, Object.assign({}, jsn, { event: HOLD_REPEAT }), context);
+				context.repeattimer = setTimeout(repeat, holdRepeatInterval);
+			}, holdRepeatDelay);
+		}, longPressDelay);
+	}
+
+	static #keyUp(UUID, jsn, context) {
+		this.#clearTimers(context);
+		if (context.isLongPress) return false;
+
+		context.clickCount++;
+		context.taptimer = setTimeout(() => {
+			const count = context.clickCount;
+			context.taptimer = null;
+			context.clickCount = 0;
+			if (count < 2) return;
+
+			const data = Object.assign({}, jsn, { payload: Object.assign({}, jsn.payload, { tapCount: count }) });
+			if (count === 2) this.#emit(`${UUID}.${DOUBLE_TAP}`, Object.assign({}, data, { event: DOUBLE_TAP }), context);
+			this.#emit(`${UUID}.${MULTI_TAP}`, Object.assign({}, data, { event: MULTI_TAP }), context);
+		}, this.getOptions(UUID).multiTapDelay);
+
+		return true;
+	}
+
+	static #clearTimers(context) {
+		clearTimeout(context.downtimer);
+		clearTimeout(context.repeattimer);
+		clearTimeout(context.taptimer);
+		context.downtimer = null;
+		context.repeattimer = null;
+		context.taptimer = null;
+	}
+}
@@ -0,0 +1,288 @@
+/// <reference path="constants.js" />
+/// <reference path="event-emitter.js" />
+/// <reference path="logger.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class GlobalSettings
+ * A cached copy of the plugin's global settings, the same API in the plugin and its property inspectors.
+ * Stream Deck stores global settings as one object, so a write from one side overwrites changes the other side made
+ * in the meantime. GlobalSettings keeps the time each setting changed in the stored object, under GLOBAL_SETTINGS_META_KEY,
+ * merges settings arriving from the other side setting by setting, the latest change winning, and writes back what
+ * the other side missed. The metadata is never part of the settings it returns or of the ones StreamDeck passes on.
+ *
+ * await GlobalSettings.load();
+ * GlobalSettings.set('account.token', token);
+ * GlobalSettings.patch({ account: { name: 'chektek' }, theme: 'dark' });
+ * GlobalSettings.on('account', ({ path, oldValue, newValue, remote }) => render(path, newValue));
+ *
+ * Paths are dot separated, objects are merged and any other value (arrays too) is replaced as a whole.
+ * Setting a path to undefined removes it. Changes are written after GlobalSettings.delay, several at once.
+ */
+class GlobalSettings {
+	static #settings = {};
+	static #modified = {};
+	static #clock = 0;
+	static #timer = null;
+	static #loading = null;
+	static #initialized = false;
+
+	/**
+	 * Milliseconds to wait for further changes before writing them
+	 */
+	static delay = 250;
+
+	/**
+	 * Fetches the global settings once, later calls return the same promise
+	 * @returns {Promise<*>} a copy of the settings
+	 */
+	static load() {
+		this.#initialize();
+
+		// The settings and their metadata arrive through the didReceiveGlobalSettings handler, before the promise settles
+		this.#loading ??= StreamDeck.fetchGlobalSettings().then(
+			() => this.get(),
+			(error) => {
+				this.#loading = null;
+				throw error;
+			}
+		);
+
+		return this.#loading;
+	}
+
+	/**
+	 * Returns a copy of a setting, or of all settings
+	 * @param {string} [path] - e.g. account.token
+	 * @returns {*}
+	 */
+	static get(path) {
+		return this.#copy(path ? this.#read(this.#settings, path) : this.#settings);
+	}
+
+	/**
+	 * Changes one setting
+	 * @param {string} path
+	 * @param {*} value - undefined removes the setting
+	 */
+	static set(path, value) {
+		if (!path) throw new Error('GlobalSettings.set needs a path, use patch to change several settings');
+
+		const settings = this.#copy(this.#settings);
+		this.#write(settings, path, this.#copy(value));
+		this.#change(settings, [path]);
+		return this;
+	}
+
+	/**
+	 * Changes several settings, merging objects into the current settings
+	 * @param {*} partial
+	 */
+	static patch(partial) {
+		const settings = this.#copy(this.#settings);
+		const paths = [];
+
+		const merge = (target, source, prefix) =>
+			Object.entries(source).forEach(([key, value]) => {
+				const path = prefix ? `${prefix}.${key}` : key;
+
+				if (this.#isObject(value) && this.#isObject(target[key])) return merge(target[key], value, path);
+
+				this.#write(settings, path, this.#copy(value));
+				paths.push(path);
+			});
+
+		merge(settings, partial ?? {}, '');
+		this.#change(settings, paths);
+		return this;
+	}
+
+	/**
+	 * Registers a callback function for changes of a setting and of the settings below it, made here or elsewhere
+	 * @param {string} path - a path, * patterns like accounts.*.token match any part
+	 * @param {*} fn - receives { path, oldValue, newValue, remote } for every changed setting
+	 * @returns {Function} removes the callback
+	 */
+	static on(path, fn) {
+		this.#initialize();
+
+		const offs = [`${GLOBAL_SETTINGS_CHANGE}.${path}`, `${GLOBAL_SETTINGS_CHANGE}.${path}.*`].map((name) => EventEmitter.on(name, (change) => fn(change)));
+		return () => offs.forEach((off) => off());
+	}
+
+	/**
+	 * Registers a callback function for every update of the settings
+	 * @param {*} fn - receives the list of changes, as passed to on
+	 * @returns {Function} removes the callback
+	 */
+	static onChange(fn) {
+		this.#initialize();
+		return EventEmitter.on(GLOBAL_SETTINGS_CHANGE, (changes) => fn(changes));
+	}
+
+	/**
+	 * Writes the settings now instead of after the delay
+	 */
+	static flush() {
+		clearTimeout(this.#timer);
+		this.#timer = null;
+		StreamDeck.setGlobalSettings(this.#stored());
+	}
+
+	static #initialize() {
+		if (this.#initialized) return;
+
+		this.#initialized = true;
+		EventEmitter.on(DID_RECEIVE_GLOBAL_SETTINGS, (jsn) => this.#receive(jsn?.payload?.settings, jsn?.payload?.[GLOBAL_SETTINGS_META_KEY]));
+	}
+
+	static #schedule() {
+		clearTimeout(this.#timer);
+		this.#timer = setTimeout(() => this.flush(), this.delay);
+	}
+
+	static #change(settings, paths) {
+		this.#initialize();
+
+		// Changes made within the same millisecond still get increasing times
+		const time = (this.#clock = Math.max(Date.now(), this.#clock + 1));
+		paths.forEach((path) => (this.#modified[path] = time));
+		this.#modified = this.#prune(this.#modified);
+
+		this.#apply(settings, false);
+		this.#schedule();
+	}
+
+	static #receive(stored, meta) {
+		const remote = this.#copy(this.#isObject(stored) ? stored : {});
+		const remoteMeta = meta ?? remote[GLOBAL_SETTINGS_META_KEY];
+		const remoteModified = this.#isObject(remoteMeta?.modified) ? this.#copy(remoteMeta.modified) : {};
+		delete remote[GLOBAL_SETTINGS_META_KEY];
+
+		const { settings, modified } = this.#merge(this.#settings, this.#modified, remote, remoteModified);
+		this.#modified = modified;
+		this.#apply(settings, true);
+
+		// The other side missed changes made here, it merges them the same way when they arrive
+		if (this.#diff(this.#stored(), Object.assign(remote, { [GLOBAL_SETTINGS_META_KEY]: { modified: this.#prune(remoteModified) } }), '').length) {
+			this.#schedule();
+		}
+	}
+
+	/**
+	 * Merges two copies of the settings path by path, the one changed last wins. A change of an object covers the settings in it.
+	 * Changes made at the same time are decided by their values, so both sides pick the same one
+	 */
+	static #merge(local, localModified, remote, remoteModified) {
+		const time = (modified, path) =>
+			path.split('.').reduce(({ at, max }, key) => {
+				const next = at ? `${at}.${key}` : key;
+				return { at: next, max: Math.max(max, modified[next] ?? 0) };
+			}, { at: '', max: 0 }).max;
+
+		const paths = new Set(this.#paths(local).concat(this.#paths(remote), Object.keys(localModified), Object.keys(remoteModified)));
+		const settings = {};
+
+		Array.from(paths)
+			.sort((a, b) => a.split('.').length - b.split('.').length)
+			.forEach((path) => {
+				const localValue = this.#read(local, path);
+				const remoteValue = this.#read(remote, path);
+				const localTime = time(localModified, path);
+				const remoteTime = time(remoteModified, path);
+				const useLocal = localTime === remoteTime ? (JSON.stringify(localValue) ?? '') > (JSON.stringify(remoteValue) ?? '') : localTime > remoteTime;
+
+				this.#write(settings, path, this.#copy(useLocal ? localValue : remoteValue));
+			});
+
+		const modified = Object.assign({}, remoteModified);
+		Object.entries(localModified).forEach(([path, at]) => (modified[path] = Math.max(at, modified[path] ?? 0)));
+
+		return { settings, modified: this.#prune(modified) };
+	}
+
+	/**
+	 * Drops the times of settings inside an object changed later as a whole
+	 */
+	static #prune(modified) {
+		const covered = (path, at) => Object.entries(modified).some(([other, time]) => path.startsWith(`${other}.`) && time >= at);
+		return Object.fromEntries(Object.entries(modified).filter(([path, at]) => !covered(path, at)));
+	}
+
+	static #stored() {
+		return Object.assign(this.#copy(this.#settings), { [GLOBAL_SETTINGS_META_KEY]: { modified: this.#copy(this.#modified) } });
+	}
+
+	static #apply(settings, remote) {
+		const changes = this.#diff(this.#settings, settings, '').map((change) => Object.assign(change, { remote }));
+		this.#settings = settings;
+
+		if (!changes.length) return;
+
+		changes.forEach((change) => EventEmitter.emit(`${GLOBAL_SETTINGS_CHANGE}.${change.path}`, change));
+		EventEmitter.emit(GLOBAL_SETTINGS_CHANGE, changes);
+	}
+
+	/**
+	 * Lists the changed settings between two objects, down to the values that are not objects.
+	 * An object that is added or removed is listed setting by setting, an empty one as a whole
+	 */
+	static #diff(before, after, prefix) {
+		const keys = new Set(Object.keys(before ?? {}).concat(Object.keys(after ?? {})));
+
+		return Array.from(keys).flatMap((key) => {
+			const path = prefix ? `${prefix}.${key}` : key;
+			const oldValue = before?.[key];
+			const newValue = after?.[key];
+
+			if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return [];
+
+			const nested = (value) => this.#isObject(value) || value === undefined;
+			if (nested(oldValue) && nested(newValue)) {
+				const changes = this.#diff(oldValue, newValue, path);
+				if (changes.length) return changes;
+			}
+
+			return [{ path, oldValue: this.#copy(oldValue), newValue: this.#copy(newValue) }];
+		});
+	}
+
+	/**
+	 * Lists the paths of the values that are not objects, and of empty objects
+	 */
+	static #paths(settings, prefix = '') {
+		return Object.entries(settings).flatMap(([key, value]) => {
+			const path = prefix ? `${prefix}.${key}` : key;
+			return this.#isObject(value) && Object.keys(value).length ? this.#paths(value, path) : [path];
+		});
+	}
+
+	static #read(settings, path) {
+		return path.split('.').reduce((value, key) => (this.#isObject(value) ? value[key] : undefined), settings);
+	}
+
+	static #write(settings, path, value) {
+		const keys = path.split('.');
+		const last = keys.pop();
+		let target = settings;
+
+		for (const key of keys) {
+			if (!this.#isObject(target[key])) {
+				if (value === undefined) return;
+				target[key] = {};
+			}
+			target = target[key];
+		}
+
+		if (value === undefined) delete target[last];
+		else target[last] = value;
+	}
+
+	static #isObject(value) {
+		return value !== null && typeof value === 'object' && !Array.isArray(value);
+	}
+
+	static #copy(value) {
+		return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+	}
+}
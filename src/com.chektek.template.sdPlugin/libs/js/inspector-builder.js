@@ -0,0 +1,195 @@
+/// <reference path="event-emitter.js" />
+/// <reference path="form-utils.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class InspectorBuilder
+ * Renders property inspector controls from a declarative list of fields using the sdpi.css markup,
+ * and binds the rendered form to the action's settings through FormUtils.
+ * Labels, select options and button texts are marked for localization.
+ *
+ * [
+ *     { "type": "text", "name": "name", "label": "Name", "placeholder": "Your name" },
+ *     { "type": "select", "name": "mode", "label": "Mode", "options": [{ "value": "clock", "label": "Clock" }] },
+ *     { "type": "group", "label": "Advanced", "fields": [{ "type": "range", "name": "size", "label": "Size", "min": 0, "max": 10 }] }
+ * ]
+ *
+ * Supported types: text, number, password, email, url, date, time, textarea, select, checkbox, radio, range, color, file, button, heading and group
+ */
+class InspectorBuilder {
+	static #id = 0;
+	static #lines = { 2: 'two-lines', 3: 'three-lines', 4: 'four-lines' };
+
+	/**
+	 * Replaces the content of a form with the controls for the fields
+	 * @param {*[]} fields
+	 * @param {*} form - a form element or selector
+	 * @returns {*} the form
+	 */
+	static render(fields, form) {
+		if (typeof form === 'string') {
+			form = document.querySelector(form);
+		}
+
+		if (!form) {
+			throw 'Could not find form!';
+		}
+
+		form.replaceChildren(...fields.map((field) => this.#field(field)));
+		return form;
+	}
+
+	/**
+	 * Fills a rendered form with the settings (or the field defaults), saves the form values into the current settings
+	 * whenever the form changes and refreshes the form when new settings are received
+	 * @param {*} form - a form element or selector
+	 * @param {*} actionInfo - the property inspector's actionInfo
+	 * @param {*[]} fields - the rendered fields, used for default values
+	 */
+	static bind(form, { action, context, payload }, fields = []) {
+		if (typeof form === 'string') {
+			form = document.querySelector(form);
+		}
+
+		const fill = (settings) => FormUtils.setFormValue(Object.assign(this.defaults(fields), settings), form);
+
+		fill(payload?.settings);
+		EventEmitter.on(`${action}.${DID_RECEIVE_SETTINGS}`, (jsn) => fill(jsn.payload?.settings));
+
+		form.addEventListener(
+			'input',
+			FormUtils.debounce(150, () => {
+				// Settings without a control, like the version and state the plugin stores, are kept
+				const value = FormUtils.getFormValue(form, StreamDeck.actionInfo?.payload?.settings);
+				StreamDeck.sendToPlugin(value, context);
+				StreamDeck.setSettings(value);
+			})
+		);
+	}
+
+	/**
+	 * Returns the default value of every field that declares one
+	 * @param {*[]} fields
+	 * @returns {*}
+	 */
+	static defaults(fields) {
+		return fields.reduce((defaults, field) => {
+			if (field.type === 'group') return Object.assign(defaults, this.defaults(field.fields ?? []));
+			if (field.name && field.default !== undefined) defaults[field.name] = field.default;
+			return defaults;
+		}, {});
+	}
+
+	static #field(field) {
+		switch (field.type) {
+			case 'heading':
+				return this.#element('div', { class: 'sdpi-heading', 'data-localize': '' }, [field.label]);
+			case 'group':
+				return this.#element('details', { class: 'sdpi-item', type: 'group', open: field.collapsed ? null : '' }, [
+					this.#element('summary', { 'data-localize': '' }, [field.label]),
+					...(field.fields ?? []).map((child) => this.#field(child)),
+				]);
+			case 'textarea':
+				return this.#item(field, [
+					this.#element('div', { class: 'sdpi-item-value textarea' }, [
+						this.#element('textarea', this.#attributes(field, { type: 'textarea', class: this.#lines[field.lines] ?? null })),
+					]),
+				]);
+			case 'select':
+				return this.#item(field, [
+					this.#element(
+						'select',
+						this.#attributes(field, { class: 'sdpi-item-value select', multiple: field.multiple ? '' : null }),
+						this.#options(field).map(({ value, label }) => this.#element('option', { value, 'data-localize': '' }, [label]))
+					),
+				]);
+			case 'checkbox':
+			case 'radio':
+				return this.#item(field, [
+					this.#element(
+						'div',
+						{ class: `sdpi-item-value${field.columns ? ' min100' : ''}` },
+						this.#options(field).map((option) => this.#choice(field, option))
+					),
+				]);
+			case 'range':
+				return this.#item(field, [
+					this.#element('div', { class: 'sdpi-item-value' }, [
+						field.showLimits === false ? null : this.#element('span', {}, [`${field.min ?? 0}`]),
+						this.#element('input', this.#attributes(field, { type: 'range', min: field.min ?? 0, max: field.max ?? 100, step: field.step ?? null })),
+						field.showLimits === false ? null : this.#element('span', {}, [`${field.max ?? 100}`]),
+					]),
+				]);
+			case 'file': {
+				const id = this.#nextId();
+				return this.#item(field, [
+					this.#element('div', { class: 'sdpi-item-group file' }, [
+						this.#element('input', this.#attributes(field, { id, class: 'sdpi-item-value', type: 'file', accept: field.accept ?? null })),
+						this.#element('label', { class: 'sdpi-file-info', for: id, 'data-localize': '' }, [field.placeholder ?? 'No file...']),
+						this.#element('label', { class: 'sdpi-file-label', for: id, 'data-localize': '' }, [field.buttonLabel ?? 'Choose file...']),
+					]),
+				]);
+			}
+			case 'button':
+				return this.#item(field, [
+					this.#element('button', { class: 'sdpi-item-value', type: 'button', id: field.id ?? null, value: field.text, 'data-localize': '' }, [field.text]),
+				]);
+			default:
+				return this.#item(field, [
+					this.#element('input', this.#attributes(field, { class: 'sdpi-item-value', type: field.type ?? 'text', placeholder: field.placeholder ?? null, 'data-localize-attr': field.placeholder ? 'placeholder' : null })),
+				]);
+		}
+	}
+
+	static #item(field, children) {
+		return this.#element('div', { class: 'sdpi-item', type: field.type === 'text' ? null : field.type, id: field.itemId ?? null }, [
+			this.#element('div', { class: `sdpi-item-label${field.type === 'textarea' ? ' up20' : ''}`, 'data-localize': '' }, [field.label ?? '']),
+			...children,
+		]);
+	}
+
+	static #choice(field, { value, label }) {
+		const id = this.#nextId();
+		return this.#element('div', { class: 'sdpi-item-child' }, [
+			// Checkboxes declared with options save an array, even when there is only one option
+			this.#element('input', { id, type: field.type, name: field.name, value, 'data-type': field.dataType ?? null, 'data-group': field.type === 'checkbox' && field.options ? '' : null }),
+			this.#element('label', { for: id, class: 'sdpi-item-label', 'data-localize': '' }, [this.#element('span'), label]),
+		]);
+	}
+
+	static #options(field) {
+		const options = field.options ?? [{ value: 'true', label: field.text ?? '' }];
+		return options.map((option) => (typeof option === 'object' ? { value: `${option.value}`, label: option.label ?? `${option.value}` } : { value: `${option}`, label: `${option}` }));
+	}
+
+	static #attributes(field, attributes) {
+		return Object.assign(
+			{
+				name: field.name,
+				required: field.required ? '' : null,
+				maxlength: field.maxlength ?? null,
+				'data-type': field.dataType ?? null,
+			},
+			field.attributes,
+			attributes
+		);
+	}
+
+	static #element(tag, attributes = {}, children = []) {
+		const element = document.createElement(tag);
+
+		Object.entries(attributes)
+			.filter(([, value]) => value !== null && value !== undefined)
+			.forEach(([name, value]) => element.setAttribute(name, value));
+
+		children
+			.filter((child) => child !== null && child !== undefined)
+			.forEach((child) => element.append(child));
+
+		return element;
+	}
+
+	static #nextId() {
+		return `sdpi-field-${++this.#id}`;
+	}
+}
@@ -0,0 +1,222 @@
+/// <reference path="constants.js" />
+/// <reference path="logger.js" />
+/// <reference path="context-registry.js" />
+/// <reference path="key-renderer.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class KeyAnimator
+ * Plays frame sequences on keys at a target frame rate.
+ * A frame is an image string, a KeyRenderer, an object with image and/or title, or a function returning one of those.
+ * Each context has at most one image update in flight, frames produced meanwhile replace each other instead of queueing.
+ * Animations stop when their key disappears and continue where they were after the computer sleeps.
+ */
+class KeyAnimator {
+	static #animations = new Map();
+	static #updates = new Map();
+	static #paused = false;
+	static #initialized = false;
+
+	/**
+	 * Starts an animation on a key, replacing the one already playing there
+	 * @param {string} context
+	 * @param {*} frames - an array of frames, or { count, frame: (index) => frame } for generated frames
+	 * @param {*} options - fps, mode (ANIMATION_LOOP, ANIMATION_ONCE, ANIMATION_PING_PONG), target, onEnd
+	 */
+	static play(context, frames, { fps = 10, mode = ANIMATION_LOOP, target, onEnd } = {}) {
+		this.#initialize();
+		this.stop(context);
+
+		const count = Array.isArray(frames) ? frames.length : frames.count;
+		const frame = Array.isArray(frames) ? (index) => frames[index] : frames.frame;
+
+		if (!count) return;
+
+		const animation = {
+			context,
+			count,
+			frame,
+			mode,
+			target,
+			onEnd,
+			duration: 1000 / fps,
+			start: Date.now(),
+			last: Date.now(),
+			step: -1,
+			elapsed: 0,
+			timer: null,
+		};
+
+		this.#animations.set(context, animation);
+		if (!this.#paused) this.#tick(animation);
+	}
+
+	/**
+	 * Stops the animation on a key, leaving the last shown frame
+	 * @param {string} context
+	 */
+	static stop(context) {
+		const animation = this.#animations.get(context);
+		if (!animation) return;
+
+		clearTimeout(animation.timer);
+		this.#animations.delete(context);
+	}
+
+	/**
+	 * Returns true when an animation is playing on a key
+	 * @param {string} context
+	 * @returns {boolean}
+	 */
+	static isPlaying(context) {
+		return this.#animations.has(context);
+	}
+
+	/**
+	 * Pauses all animations
+	 */
+	static pause() {
+		if (this.#paused) return;
+
+		this.#paused = true;
+		this.#animations.forEach((animation) => {
+			clearTimeout(animation.timer);
+			animation.elapsed = Date.now() - animation.start;
+		});
+	}
+
+	/**
+	 * Resumes all animations from the frame they were paused at
+	 */
+	static resume() {
+		if (!this.#paused) return;
+
+		this.#paused = false;
+		this.#animations.forEach((animation) => {
+			animation.start = Date.now() - animation.elapsed;
+			animation.last = Date.now();
+			this.#tick(animation);
+		});
+	}
+
+	/**
+	 * Shows a frame on a key. While a previous frame for the same context is still being produced,
+	 * only the most recent frame is kept and shown once it is done
+	 * @param {string} context
+	 * @param {*} frame
+	 * @param {number} target
+	 */
+	static update(context, frame, target) {
+		const update = this.#updates.get(context);
+
+		if (update) {
+			update.next = { frame, target };
+			return;
+		}
+
+		this.#updates.set(context, { next: null });
+		this.#present(context, frame, target);
+	}
+
+	/**
+	 * Cuts a sprite sheet into frames, read left to right and top to bottom
+	 * @param {*} source - an image path, data url or element
+	 * @param {*} options - frameWidth, frameHeight, count (all frames by default)
+	 * @returns {Promise<string[]>} data urls of the frames
+	 */
+	static async fromSpriteSheet(source, { frameWidth, frameHeight = frameWidth, count } = {}) {
+		const image = await KeyRenderer.loadImage(source);
+		const columns = Math.floor(image.width / frameWidth);
+		const total = count ?? columns * Math.floor(image.height / frameHeight);
+		const canvas = document.createElement('canvas');
+		const ctx = canvas.getContext('2d');
+		const frames = [];
+
+		canvas.width = frameWidth;
+		canvas.height = frameHeight;
+
+		for (let index = 0; index < total; index++) {
+			ctx.clearRect(0, 0, frameWidth, frameHeight);
+			ctx.drawImage(image, (index % columns) * frameWidth, Math.floor(index / columns) * frameHeight, frameWidth, frameHeight, 0, 0, frameWidth, frameHeight);
+			frames.push(canvas.toDataURL('image/png'));
+		}
+
+		return frames;
+	}
+
+	static #initialize() {
+		if (this.#initialized) return;
+
+		this.#initialized = true;
+		ContextRegistry.onRemoved(({ context }) => {
+			this.stop(context);
+			this.#updates.delete(context);
+		});
+		StreamDeck.onSystemDidWakeUp(() => this.#animations.forEach((animation) => this.#skipGap(animation, Date.now())));
+	}
+
+	static #tick(animation) {
+		const now = Date.now();
+
+		// Timers do not run while the computer sleeps, continue where the animation was instead of jumping ahead
+		if (now - animation.last > animation.duration + SLEEP_DETECTION_GAP) this.#skipGap(animation, now);
+		animation.last = now;
+
+		const step = Math.floor((now - animation.start) / animation.duration);
+
+		if (step !== animation.step) {
+			animation.step = step;
+			const index = this.#frameIndex(animation.mode, step, animation.count);
+			this.update(animation.context, () => animation.frame(index), animation.target);
+
+			if (animation.mode === ANIMATION_ONCE && step >= animation.count - 1) {
+				this.#animations.delete(animation.context);
+				animation.onEnd?.(animation.context);
+				return;
+			}
+		}
+
+		const delay = animation.start + (step + 1) * animation.duration - now;
+		animation.timer = setTimeout(() => this.#tick(animation), Math.max(0, delay));
+	}
+
+	static #skipGap(animation, now) {
+		const gap = now - animation.last - animation.duration;
+		if (gap > 0) animation.start += gap;
+		animation.last = now;
+	}
+
+	static #frameIndex(mode, step, count) {
+		if (mode === ANIMATION_ONCE) return Math.min(step, count - 1);
+		if (mode === ANIMATION_PING_PONG && count > 1) {
+			const period = (count - 1) * 2;
+			const position = step % period;
+			return position < count ? position : period - position;
+		}
+		return step % count;
+	}
+
+	static async #present(context, frame, target) {
+		try {
+			let value = typeof frame === 'function' ? await frame() : frame;
+			if (typeof value === 'function') value = await value();
+			if (value instanceof KeyRenderer) value = { image: await value.render() };
+			if (typeof value === 'string') value = { image: value };
+
+			if (value?.image !== undefined) StreamDeck.setImage(context, value.image, target);
+			if (value?.title !== undefined) StreamDeck.setTitle(context, value.title, target);
+		} catch (error) {
+			Logger.channel('key-animator').warn('Frame failed', { context, error });
+		}
+
+		const update = this.#updates.get(context);
+		if (!update?.next) {
+			this.#updates.delete(context);
+			return;
+		}
+
+		const { next } = update;
+		update.next = null;
+		this.#present(context, next.frame, next.target);
+	}
+}
@@ -0,0 +1,259 @@
+/// <reference path="constants.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class KeyRenderer
+ * Composes layers (background, icon, text, progress bar, gauge, badge, overlay) into a key image.
+ * Layers are drawn in the order they are added, on a 72x72 grid that is scaled for @2x output.
+ *
+ * new KeyRenderer()
+ *     .background('#1e1e1e')
+ *     .icon('actions/template/assets/action.png', { size: 40, y: 8 })
+ *     .text('42%', { valign: 'bottom' })
+ *     .progress(0.42)
+ *     .send(context);
+ */
+class KeyRenderer {
+	static #images = new Map();
+	#layers = [];
+	#scale;
+
+	/**
+	 * @param {*} options
+	 * @param {number} options.scale - 2 renders a 144px @2x image, defaults to the host's devicePixelRatio
+	 */
+	constructor({ scale } = {}) {
+		this.#scale = scale ?? (StreamDeck.appInfo?.devicePixelRatio >= 2 ? 2 : 1);
+	}
+
+	/**
+	 * The rendered image width and height in pixels
+	 * @returns {number}
+	 */
+	get size() {
+		return KEY_IMAGE_SIZE * this.#scale;
+	}
+
+	/**
+	 * Fills the key with a color, or draws an image stretched to the key
+	 * @param {string} colorOrImage - a css color or an image path, data url or element
+	 */
+	background(colorOrImage) {
+		return this.#add(async (ctx) => {
+			if (KeyRenderer.#isColor(colorOrImage)) {
+				ctx.fillStyle = colorOrImage;
+				ctx.fillRect(0, 0, KEY_IMAGE_SIZE, KEY_IMAGE_SIZE);
+			} else {
+				ctx.drawImage(await KeyRenderer.loadImage(colorOrImage), 0, 0, KEY_IMAGE_SIZE, KEY_IMAGE_SIZE);
+			}
+		});
+	}
+
+	/**
+	 * Draws an image, centered by default
+	 * @param {*} image - an image path, data url or element
+	 * @param {*} options - size, x, y, opacity
+	 */
+	icon(image, { size = 48, x, y, opacity = 1 } = {}) {
+		return this.#add(async (ctx) => {
+			ctx.globalAlpha = opacity;
+			ctx.drawImage(
+				await KeyRenderer.loadImage(image),
+				x ?? (KEY_IMAGE_SIZE - size) / 2,
+				y ?? (KEY_IMAGE_SIZE - size) / 2,
+				size,
+				size
+			);
+		});
+	}
+
+	/**
+	 * Draws one or more lines of text
+	 * @param {string} text - new lines start a new line
+	 * @param {*} options - font, size, weight, color, align (left, center, right), valign (top, middle, bottom), padding, stroke
+	 */
+	text(text, { font = 'sans-serif', size = 14, weight = 'bold', color = '#ffffff', align = 'center', valign = 'middle', padding = 4, stroke } = {}) {
+		return this.#add((ctx) => {
+			const lines = `${text}`.split('\n');
+			const lineHeight = size * 1.2;
+			const height = lines.length * lineHeight;
+			const top = { top: padding, middle: (KEY_IMAGE_SIZE - height) / 2, bottom: KEY_IMAGE_SIZE - padding - height }[valign];
+			const x = { left: padding, center: KEY_IMAGE_SIZE / 2, right: KEY_IMAGE_SIZE - padding }[align];
+
+			ctx.font = `${weight} ${size}px ${font}`;
+			ctx.textAlign = align;
+			ctx.textBaseline = 'middle';
+			ctx.fillStyle = color;
+
+			lines.forEach((line, index) => {
+				const y = top + lineHeight * (index + 0.5);
+				if (stroke) {
+					ctx.lineWidth = 3;
+					ctx.strokeStyle = stroke;
+					ctx.strokeText(line, x, y);
+				}
+				ctx.fillText(line, x, y);
+			});
+		});
+	}
+
+	/**
+	 * Draws a horizontal progress bar
+	 * @param {number} value - between 0 and 1
+	 * @param {*} options - color, background, height, position (top, bottom)
+	 */
+	progress(value, { color = '#f7821b', background = 'rgba(255, 255, 255, 0.2)', height = 6, position = 'bottom' } = {}) {
+		return this.#add((ctx) => {
+			const y = position === 'top' ? 0 : KEY_IMAGE_SIZE - height;
+			ctx.fillStyle = background;
+			ctx.fillRect(0, y, KEY_IMAGE_SIZE, height);
+			ctx.fillStyle = color;
+			ctx.fillRect(0, y, KEY_IMAGE_SIZE * KeyRenderer.#clamp(value), height);
+		});
+	}
+
+	/**
+	 * Draws a circular gauge around the center of the key
+	 * @param {number} value - between 0 and 1
+	 * @param {*} options - color, background, width, radius, start and end angle in radians
+	 */
+	gauge(value, { color = '#f7821b', background = 'rgba(255, 255, 255, 0.2)', width = 6, radius = 28, start = Math.PI * 0.75, end = Math.PI * 2.25 } = {}) {
+		return this.#add((ctx) => {
+			const center = KEY_IMAGE_SIZE / 2;
+			ctx.lineWidth = width;
+			ctx.lineCap = 'round';
+
+			ctx.strokeStyle = background;
+			ctx.beginPath();
+			ctx.arc(center, center, radius, start, end);
+			ctx.stroke();
+
+			ctx.strokeStyle = color;
+			ctx.beginPath();
+			ctx.arc(center, center, radius, start, start + (end - start) * KeyRenderer.#clamp(value));
+			ctx.stroke();
+		});
+	}
+
+	/**
+	 * Draws a round badge with a short text in a corner
+	 * @param {string} text
+	 * @param {*} options - color, background, size, position (top-right, top-left, bottom-right, bottom-left)
+	 */
+	badge(text, { color = '#ffffff', background = '#e02020', size = 22, position = 'top-right' } = {}) {
+		return this.#add((ctx) => {
+			const [vertical, horizontal] = position.split('-');
+			const radius = size / 2;
+			const x = horizontal === 'left' ? radius + 2 : KEY_IMAGE_SIZE - radius - 2;
+			const y = vertical === 'top' ? radius + 2 : KEY_IMAGE_SIZE - radius - 2;
+
+			ctx.fillStyle = background;
+			ctx.beginPath();
+			ctx.arc(x, y, radius, 0, Math.PI * 2);
+			ctx.fill();
+
+			ctx.font = `bold ${Math.round(size * 0.55)}px sans-serif`;
+			ctx.textAlign = 'center';
+			ctx.textBaseline = 'middle';
+			ctx.fillStyle = color;
+			ctx.fillText(`${text}`, x, y + 1);
+		});
+	}
+
+	/**
+	 * Covers the whole key with a translucent color or image
+	 * @param {string} colorOrImage - a css color or an image path, data url or element
+	 * @param {*} options - opacity
+	 */
+	overlay(colorOrImage, { opacity = 0.5 } = {}) {
+		return this.#add(async (ctx) => {
+			ctx.globalAlpha = opacity;
+			if (KeyRenderer.#isColor(colorOrImage)) {
+				ctx.fillStyle = colorOrImage;
+				ctx.fillRect(0, 0, KEY_IMAGE_SIZE, KEY_IMAGE_SIZE);
+			} else {
+				ctx.drawImage(await KeyRenderer.loadImage(colorOrImage), 0, 0, KEY_IMAGE_SIZE, KEY_IMAGE_SIZE);
+			}
+		});
+	}
+
+	/**
+	 * Draws a custom layer with the canvas 2d context, using the 72x72 grid
+	 * @param {*} fn - (ctx, size) => void | Promise<void>
+	 */
+	draw(fn) {
+		return this.#add((ctx) => fn(ctx, KEY_IMAGE_SIZE));
+	}
+
+	/**
+	 * Renders all layers
+	 * @returns {Promise<string>} a base64 png data url
+	 */
+	async render() {
+		const canvas = document.createElement('canvas');
+		canvas.width = this.size;
+		canvas.height = this.size;
+
+		const ctx = canvas.getContext('2d');
+		ctx.scale(this.#scale, this.#scale);
+
+		for (const layer of this.#layers) {
+			ctx.save();
+			await layer(ctx);
+			ctx.restore();
+		}
+
+		return canvas.toDataURL('image/png');
+	}
+
+	/**
+	 * Renders all layers and sets the result as the key image
+	 * @param {string} context
+	 * @param {number} target - HARDWARE_AND_SOFTWARE, HARDWARE_ONLY or SOFTWARE_ONLY
+	 * @returns {Promise<string>} the rendered data url
+	 */
+	async send(context, target) {
+		const image = await this.render();
+		StreamDeck.setImage(context, image, target);
+		return image;
+	}
+
+	/**
+	 * Loads an image once and caches it by source
+	 * @param {*} source - an image path, data url or an already loaded element
+	 * @returns {Promise<*>}
+	 */
+	static loadImage(source) {
+		if (typeof source !== 'string') return Promise.resolve(source);
+
+		if (!this.#images.has(source)) {
+			this.#images.set(
+				source,
+				new Promise((resolve, reject) => {
+					const image = new Image();
+					image.onload = () => resolve(image);
+					image.onerror = () => {
+						this.#images.delete(source);
+						reject(new Error(`Could not load image ${source}`));
+					};
+					image.src = source;
+				})
+			);
+		}
+
+		return this.#images.get(source);
+	}
+
+	#add(layer) {
+		this.#layers.push(layer);
+		return this;
+	}
+
+	static #isColor(value) {
+		return typeof value === 'string' && /^(#|rgba?\(|hsla?\(|transparent$|[a-z]+$)/i.test(value);
+	}
+
+	static #clamp(value) {
+		return Math.min(1, Math.max(0, Number(value) || 0));
+	}
+}
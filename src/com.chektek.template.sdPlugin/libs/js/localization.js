@@ -0,0 +1,141 @@
+/// <reference path="constants.js" />
+
+/**
+ * @class Localization
+ * Loads the Localization section of the <language>.json files and translates strings and DOM nodes.
+ * Languages fall back from the exact locale to its base language and then to en, so zh_CN.json, zh.json and en.json
+ * are merged with the most specific file winning. Missing files are skipped.
+ *
+ * Values may contain {placeholders}, and plural forms keyed by Intl.PluralRules categories or exact counts:
+ * "{count} taps": { "=0": "No taps", "one": "{count} tap", "other": "{count} taps" }
+ *
+ * Elements with data-localize have their text translated, the key being the attribute value or the element's text.
+ * data-localize-attr lists attributes to translate (placeholder,title,value) and data-localize-params holds JSON params.
+ */
+class Localization {
+	static #strings = {};
+	static #language = FALLBACK_LANGUAGE;
+	static #keys = new WeakMap();
+	static #observer = null;
+
+	/**
+	 * Loads and merges the language files of the fallback chain
+	 * @param {string} pathPrefix - path of the folder holding the <language>.json files
+	 * @param {string} language - the Stream Deck language, e.g. de or zh_CN
+	 * @returns {Promise<*>} the merged strings
+	 */
+	static async load(pathPrefix, language) {
+		const chain = this.chain(language);
+		const files = await Promise.all(
+			chain.map((code) =>
+				StreamDeck.readJson(`${pathPrefix}${code}.json`).then(
+					(json) => json?.Localization ?? {},
+					() => ({})
+				)
+			)
+		);
+
+		this.#language = chain[0];
+		this.#strings = Object.assign({}, ...files.reverse());
+		return this.#strings;
+	}
+
+	/**
+	 * The language of the loaded strings, e.g. de or zh_CN
+	 * @returns {string}
+	 */
+	static get language() {
+		return this.#language;
+	}
+
+	/**
+	 * Returns the languages tried for a locale, most specific first
+	 * @param {string} language
+	 * @returns {string[]}
+	 */
+	static chain(language) {
+		const exact = `${language || FALLBACK_LANGUAGE}`.replace('-', '_');
+		const [base] = exact.split('_');
+		return Array.from(new Set([exact, base, FALLBACK_LANGUAGE]));
+	}
+
+	/**
+	 * Translates a key, interpolating {placeholders} and choosing the plural form from params.count
+	 * @param {string} key
+	 * @param {*} params
+	 * @returns {string} the translation, or the key itself when there is none
+	 */
+	static t(key, params = {}) {
+		let value = this.#strings[key] ?? key;
+
+		if (value !== null && typeof value === 'object') {
+			const count = Number(params.count);
+			const category = new Intl.PluralRules(this.#language.replace('_', '-')).select(count);
+			value = value[`=${count}`] ?? value[category] ?? value.other ?? key;
+		}
+
+		return `${value}`.replace(/\{(\w+)\}/g, (match, name) => (name in params ? `${params[name]}` : match));
+	}
+
+	/**
+	 * Translates the text and attributes of every localizable element in a node, including the node itself
+	 * @param {*} root
+	 */
+	static translate(root = document) {
+		if (root.matches?.(LOCALIZE_SELECTOR)) this.#translateElement(root);
+		root.querySelectorAll?.(LOCALIZE_SELECTOR).forEach((element) => this.#translateElement(element));
+	}
+
+	/**
+	 * Translates localizable elements as soon as they are added to a node
+	 * @param {*} root
+	 */
+	static observe(root = document.body) {
+		if (this.#observer) return;
+
+		this.#observer = new MutationObserver((mutations) => {
+			mutations.forEach(({ addedNodes }) => addedNodes.forEach((node) => node.nodeType === Node.ELEMENT_NODE && this.translate(node)));
+		});
+		this.#observer.observe(root, { childList: true, subtree: true });
+	}
+
+	static #translateElement(element) {
+		if (!this.#keys.has(element)) this.#keys.set(element, this.#readKeys(element));
+
+		const { text, attributes } = this.#keys.get(element);
+		const params = this.#params(element);
+
+		if (text) {
+			// Only text nodes are replaced, so markup inside the element (like the span of a checkbox label) survives
+			const textNode = Array.from(element.childNodes).find((node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+			if (textNode) textNode.textContent = this.t(text, params);
+			else if (!element.children.length) element.textContent = this.t(text, params);
+		}
+
+		Object.entries(attributes).forEach(([name, key]) => element.setAttribute(name, this.t(key, params)));
+	}
+
+	static #readKeys(element) {
+		const textNode = Array.from(element.childNodes).find((node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+		const attributes = {};
+
+		(element.getAttribute('data-localize-attr') ?? '')
+			.split(',')
+			.map((name) => name.trim())
+			.filter((name) => name && element.hasAttribute(name))
+			.forEach((name) => (attributes[name] = element.getAttribute(name)));
+
+		return {
+			text: element.hasAttribute('data-localize') ? element.getAttribute('data-localize') || textNode?.textContent.trim() : null,
+			attributes,
+		};
+	}
+
+	static #params(element) {
+		try {
+			return JSON.parse(element.getAttribute('data-localize-params') || '{}');
+		} catch (e) {
+			return {};
+		}
+	}
+}
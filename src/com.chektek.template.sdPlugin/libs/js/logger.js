@@ -0,0 +1,232 @@
+/// <reference path="constants.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class Logger
+ * Leveled, structured logging. Every record is kept in an in-memory ring buffer, printed to the console
+ * and, from Logger.forwardLevel up, forwarded to the Stream Deck log in rate limited batches.
+ *
+ * const log = Logger.channel('com.chektek.template.action1');
+ * log.info('Key pressed', { context, count: 3 });
+ *
+ * A context (id or Context) passed in the data is stored on the record, errors keep their message and stack.
+ */
+class Logger {
+	static #buffer = [];
+	static #head = 0;
+	static #outbox = [];
+	static #dropped = 0;
+	static #timer = null;
+	static #channels = new Map();
+
+	/**
+	 * Level weights, records below Logger.level are ignored
+	 */
+	static levels = {
+		[LOG_DEBUG]: 10,
+		[LOG_INFO]: 20,
+		[LOG_WARN]: 30,
+		[LOG_ERROR]: 40,
+	};
+
+	static level = LOG_DEBUG;
+	static consoleLevel = LOG_DEBUG;
+	static forwardLevel = LOG_INFO;
+
+	/**
+	 * Number of records kept in memory
+	 */
+	static bufferSize = 500;
+
+	/**
+	 * Forwarded records are batched into one logMessage every flushInterval milliseconds,
+	 * records beyond forwardLimit in one batch are counted and dropped
+	 */
+	static flushInterval = 1000;
+	static forwardLimit = 50;
+
+	/**
+	 * Returns the logger of a named channel, usually an action UUID
+	 * @param {string} name
+	 * @returns {LoggerChannel}
+	 */
+	static channel(name) {
+		if (!this.#channels.has(name)) {
+			this.#channels.set(name, new LoggerChannel(name));
+		}
+
+		return this.#channels.get(name);
+	}
+
+	static debug(message, data) {
+		return this.write(LOG_DEBUG, LOG_DEFAULT_CHANNEL, message, data);
+	}
+
+	static info(message, data) {
+		return this.write(LOG_INFO, LOG_DEFAULT_CHANNEL, message, data);
+	}
+
+	static warn(message, data) {
+		return this.write(LOG_WARN, LOG_DEFAULT_CHANNEL, message, data);
+	}
+
+	static error(message, data) {
+		return this.write(LOG_ERROR, LOG_DEFAULT_CHANNEL, message, data);
+	}
+
+	/**
+	 * Creates a record and hands it to the buffer, the console and the host log
+	 * @param {string} level - debug, info, warn or error
+	 * @param {string} channel
+	 * @param {*} message - a string or an Error
+	 * @param {*} data - extra fields, context is stored on the record itself
+	 * @returns {*} the record, or null when its level is ignored
+	 */
+	static write(level, channel, message, data) {
+		if (this.levels[level] < this.levels[this.level]) return null;
+
+		const fields = data instanceof Error ? { error: data } : typeof data === 'object' && data !== null ? data : data === undefined ? {} : { value: data };
+		const { context, ...rest } = fields;
+		const record = {
+			time: Date.now(),
+			level,
+			channel,
+			context: context?.context ?? context ?? null,
+			message: message instanceof Error ? message.message : `${message}`,
+			data: Object.keys(rest).length ? this.#serialize(rest) : null,
+		};
+
+		if (message instanceof Error) record.data = Object.assign({}, record.data, { stack: message.stack });
+
+		this.#store(record);
+
+		if (this.levels[level] >= this.levels[this.consoleLevel]) {
+			console[level](`[${channel}]`, record.message, ...(record.data ? [record.data] : []));
+		}
+
+		if (this.levels[level] >= this.levels[this.forwardLevel]) {
+			this.#forward(record);
+		}
+
+		return record;
+	}
+
+	/**
+	 * Returns the buffered records, oldest first
+	 * @param {*} filter - level (minimum), channel, context and limit (newest n records)
+	 * @returns {*[]}
+	 */
+	static dump({ level = LOG_DEBUG, channel, context, limit } = {}) {
+		const records = this.#buffer
+			.slice(this.#head)
+			.concat(this.#buffer.slice(0, this.#head))
+			.filter(
+				(record) =>
+					this.levels[record.level] >= this.levels[level] &&
+					(channel === undefined || record.channel === channel) &&
+					(context === undefined || record.context === context)
+			);
+
+		return limit ? records.slice(-limit) : records;
+	}
+
+	/**
+	 * Empties the ring buffer
+	 */
+	static clear() {
+		this.#buffer = [];
+		this.#head = 0;
+	}
+
+	/**
+	 * Formats a record as one line of text
+	 * @param {*} record
+	 * @returns {string}
+	 */
+	static format({ time, level, channel, context, message, data }) {
+		return [
+			new Date(time).toISOString(),
+			level.toUpperCase(),
+			`[${channel}]`,
+			context ? `(${context})` : null,
+			message,
+			data ? JSON.stringify(data) : null,
+		]
+			.filter((part) => part !== null)
+			.join(' ');
+	}
+
+	/**
+	 * Sends the pending batch to the Stream Deck log right away
+	 */
+	static flush() {
+		clearTimeout(this.#timer);
+		this.#timer = null;
+
+		const lines = this.#outbox.map((record) => this.format(record));
+		if (this.#dropped) lines.push(`${this.#dropped} log records dropped, the forward limit is ${this.forwardLimit} per ${this.flushInterval}ms`);
+
+		this.#outbox = [];
+		this.#dropped = 0;
+
+		if (lines.length) StreamDeck.log(lines.join('\n'));
+	}
+
+	static #store(record) {
+		if (this.#buffer.length < this.bufferSize) {
+			this.#buffer.push(record);
+			return;
+		}
+
+		this.#buffer[this.#head] = record;
+		this.#head = (this.#head + 1) % this.#buffer.length;
+	}
+
+	static #forward(record) {
+		if (this.#outbox.length < this.forwardLimit) this.#outbox.push(record);
+		else this.#dropped++;
+
+		this.#timer ??= setTimeout(() => this.flush(), this.flushInterval);
+	}
+
+	static #serialize(data) {
+		try {
+			return JSON.parse(
+				JSON.stringify(data, (key, value) => (value instanceof Error ? { message: value.message, code: value.code, stack: value.stack } : value))
+			);
+		} catch (e) {
+			return { unserializable: `${data}` };
+		}
+	}
+}
+
+/**
+ * @class LoggerChannel
+ * The logger of one channel, returned by Logger.channel
+ */
+class LoggerChannel {
+	name;
+
+	/**
+	 * @param {string} name
+	 */
+	constructor(name) {
+		this.name = name;
+	}
+
+	debug(message, data) {
+		return Logger.write(LOG_DEBUG, this.name, message, data);
+	}
+
+	info(message, data) {
+		return Logger.write(LOG_INFO, this.name, message, data);
+	}
+
+	warn(message, data) {
+		return Logger.write(LOG_WARN, this.name, message, data);
+	}
+
+	error(message, data) {
+		return Logger.write(LOG_ERROR, this.name, message, data);
+	}
+}
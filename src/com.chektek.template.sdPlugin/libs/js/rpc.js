@@ -0,0 +1,165 @@
+/// <reference path="constants.js" />
+/// <reference path="event-emitter.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class Rpc
+ * Request/response calls and notifications between the property inspector and the plugin of one action,
+ * carried over sendToPlugin and sendToPropertyInspector. Both sides use the same API:
+ *
+ * // plugin
+ * Rpc.for('com.chektek.template.action1').handle('listDevices', async (params, context) => [...]);
+ *
+ * // property inspector
+ * const devices = await Rpc.for().call('listDevices');
+ *
+ * In the plugin, call and notify need the context of the property inspector's key.
+ * Errors thrown by a handler reject the caller's promise with the same message and code.
+ * Rpc.handle answers a method for every action, e.g. Rpc.handle(RPC_DUMP_LOGS, (filter) => Logger.dump(filter)).
+ */
+class Rpc {
+	static #channels = new Map();
+	static #shared = new Map();
+	UUID;
+	timeout = 5000;
+	#on = EventEmitter.on;
+	#handlers = new Map();
+	#listeners = new Map();
+	#pending = new Map();
+	#nextId = 0;
+
+	/**
+	 * @param {string} UUID - the action UUID
+	 */
+	constructor(UUID) {
+		this.UUID = UUID;
+		this.#on(`${UUID}.${SEND_TO_PLUGIN}`, (jsn) => this.#receive(jsn));
+		this.#on(`${UUID}.${SEND_TO_PROPERTY_INSPECTOR}`, (jsn) => this.#receive(jsn));
+	}
+
+	/**
+	 * Returns the channel of an action, creating it on first use
+	 * @param {string} UUID - defaults to the property inspector's action
+	 * @returns {Rpc}
+	 */
+	static for(UUID = StreamDeck.actionInfo?.action) {
+		if (!this.#channels.has(UUID)) {
+			this.#channels.set(UUID, new Rpc(UUID));
+		}
+
+		return this.#channels.get(UUID);
+	}
+
+	/**
+	 * Registers the function answering calls of a method on the channels of all actions, unless a channel has its own
+	 * @param {string} method
+	 * @param {*} fn - (params, context) => result
+	 */
+	static handle(method, fn) {
+		if (!this.#shared.size) {
+			// Actions that never used their channel get one when a call arrives
+			const receive = (jsn) => jsn.action && !this.#channels.has(jsn.action) && this.for(jsn.action).#receive(jsn);
+			EventEmitter.on(`*.${SEND_TO_PLUGIN}`, receive);
+			EventEmitter.on(`*.${SEND_TO_PROPERTY_INSPECTOR}`, receive);
+		}
+
+		this.#shared.set(method, fn);
+		return this;
+	}
+
+	/**
+	 * Registers the function answering calls of a method. Its return value, or the value its promise resolves with, is the result
+	 * @param {string} method
+	 * @param {*} fn - (params, context) => result
+	 */
+	handle(method, fn) {
+		this.#handlers.set(method, fn);
+		return this;
+	}
+
+	/**
+	 * Registers a callback function for notifications of a method
+	 * @param {string} method
+	 * @param {*} fn - (params, context) => void
+	 */
+	on(method, fn) {
+		if (!this.#listeners.has(method)) this.#listeners.set(method, new Set());
+		this.#listeners.get(method).add(fn);
+		return this;
+	}
+
+	/**
+	 * Calls a method on the other side
+	 * @param {string} method
+	 * @param {*} params
+	 * @param {*} options - context (required in the plugin) and timeout in milliseconds
+	 * @returns {Promise<*>} the result
+	 */
+	call(method, params, { context, timeout = this.timeout } = {}) {
+		const id = ++this.#nextId;
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.#pending.delete(id);
+				reject(Rpc.#error({ message: `${method} timed out after ${timeout}ms`, code: 'TIMEOUT' }));
+			}, timeout);
+
+			this.#pending.set(id, { resolve, reject, timer });
+			this.#send(context, { id, method, params });
+		});
+	}
+
+	/**
+	 * Sends a notification, which has no response
+	 * @param {string} method
+	 * @param {*} params
+	 * @param {string} context - required in the plugin
+	 */
+	notify(method, params, context) {
+		this.#send(context, { method, params });
+	}
+
+	#send(context, message) {
+		const payload = { [RPC_KEY]: message };
+
+		if (StreamDeck.messageType === REGISTER_PLUGIN) {
+			StreamDeck.sendToPropertyInspector(context, payload, this.UUID);
+		} else {
+			StreamDeck.sendToPlugin(payload, context);
+		}
+	}
+
+	async #receive({ context, payload }) {
+		const message = payload?.[RPC_KEY];
+		if (!message) return;
+
+		const { id, method, params, result, error } = message;
+
+		if (!method) {
+			const request = this.#pending.get(id);
+			if (!request) return;
+
+			clearTimeout(request.timer);
+			this.#pending.delete(id);
+			return error ? request.reject(Rpc.#error(error)) : request.resolve(result);
+		}
+
+		if (id === undefined) {
+			this.#listeners.get(method)?.forEach((fn) => fn(params, context));
+			return;
+		}
+
+		const handler = this.#handlers.get(method) ?? Rpc.#shared.get(method);
+
+		try {
+			if (!handler) throw Rpc.#error({ message: `Unknown method ${method}`, code: 'METHOD_NOT_FOUND' });
+			this.#send(context, { id, result: await handler(params, context) });
+		} catch (e) {
+			this.#send(context, { id, error: { message: e?.message ?? `${e}`, code: e?.code } });
+		}
+	}
+
+	static #error({ message, code }) {
+		return Object.assign(new Error(message), { code });
+	}
+}
@@ -0,0 +1,194 @@
+/// <reference path="constants.js" />
+/// <reference path="context.js" />
+/// <reference path="logger.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class SettingsSchema
+ * Describes the settings of an action: field types, defaults and constraints, a version and the migrations between versions.
+ * Settings are normalized before handlers see them, fields are coerced to their type, missing fields get their default
+ * and invalid values are replaced and reported. Settings saved without a version are treated as version 0,
+ * empty settings (a new key) as the current version and the settings of a visible key as the version it already has.
+ *
+ * new SettingsSchema({
+ *     version: 2,
+ *     fields: {
+ *         name: { type: 'string', default: '', maxLength: 50 },
+ *         count: { type: 'number', default: 1, min: 0, max: 10, integer: true },
+ *         mode: { type: 'string', default: 'clock', enum: ['clock', 'timer'] },
+ *     },
+ *     migrations: {
+ *         2: (settings) => Object.assign({}, settings, { name: settings.title }),
+ *     },
+ * });
+ */
+class SettingsSchema {
+	static #schemas = new Map();
+	version;
+	fields;
+	migrations;
+
+	/**
+	 * @param {*} definition - version, fields and migrations keyed by the version they migrate to
+	 */
+	constructor({ version = 1, fields = {}, migrations = {} } = {}) {
+		this.version = version;
+		this.fields = fields;
+		this.migrations = migrations;
+	}
+
+	/**
+	 * Sets the schema of an action UUID
+	 * @param {string} UUID
+	 * @param {*} schema - a SettingsSchema or its definition
+	 * @returns {SettingsSchema}
+	 */
+	static register(UUID, schema) {
+		const instance = schema instanceof SettingsSchema ? schema : new SettingsSchema(schema);
+		this.#schemas.set(UUID, instance);
+		return instance;
+	}
+
+	/**
+	 * Returns the schema of an action UUID
+	 * @param {string} UUID
+	 * @returns {SettingsSchema|undefined}
+	 */
+	static get(UUID) {
+		return this.#schemas.get(UUID);
+	}
+
+	/**
+	 * Normalizes the settings in an incoming event in place, using the schema of its action.
+	 * Migrated or corrected settings are saved back and invalid values are written to the log
+	 * @param {*} data - the parsed event sent by Stream Deck
+	 * @param {Context} [instance] - the Context of a visible key, its version is kept when the settings carry none
+	 */
+	static apply(data, instance) {
+		const schema = this.#schemas.get(data.action);
+		if (!schema || !data.payload || !('settings' in data.payload) || data.event === SEND_TO_PLUGIN) return;
+
+		const { settings, errors, migrated } = schema.normalize(data.payload.settings, instance?.settings?.[SETTINGS_VERSION_KEY]);
+		data.payload.settings = settings;
+
+		if (errors.length) {
+			Logger.channel(data.action).warn('Invalid settings', { context: data.context, errors });
+		}
+
+		if (migrated || errors.length) {
+			StreamDeck.setSettings(settings, data.context);
+		}
+	}
+
+	/**
+	 * Migrates settings to the current version and validates every field. When a migration fails,
+	 * the settings are returned as the previous migrations left them, without validation
+	 * @param {*} input
+	 * @param {number} [unversioned] - version of settings without one, 0 or the current version for empty settings by default
+	 * @returns {{settings: *, errors: string[], migrated: boolean}}
+	 */
+	normalize(input, unversioned) {
+		const errors = [];
+		let settings = Object.assign({}, input);
+		let version = SETTINGS_VERSION_KEY in settings ? Number(settings[SETTINGS_VERSION_KEY]) || 0 : unversioned ?? (Object.keys(settings).length ? 0 : this.version);
+		const migrated = version < this.version;
+
+		while (version < this.version) {
+			try {
+				settings = this.migrations[version + 1]?.(SettingsSchema.#copy(settings)) ?? settings;
+			} catch (error) {
+				// The settings stay at the last version they reached, a fixed migration can pick them up from there
+				errors.push(`migration to version ${version + 1} failed: ${error?.message ?? error}`);
+				settings[SETTINGS_VERSION_KEY] = version;
+				return { settings, errors, migrated };
+			}
+			version++;
+		}
+
+		Object.entries(this.fields).forEach(([name, field]) => {
+			const result = SettingsSchema.#validate(settings[name], field);
+			if (result.error) errors.push(`${name}: ${result.error}`);
+			settings[name] = result.value;
+		});
+
+		settings[SETTINGS_VERSION_KEY] = this.version;
+		return { settings, errors, migrated };
+	}
+
+	/**
+	 * Returns the settings of a new key, every field at its default
+	 * @returns {*}
+	 */
+	defaults() {
+		return this.normalize({ [SETTINGS_VERSION_KEY]: this.version }).settings;
+	}
+
+	static #validate(value, field) {
+		const fallback = () => SettingsSchema.#copy(typeof field.default === 'function' ? field.default() : field.default);
+
+		if (value === '' && field.type === 'string' && !field.required) {
+			return { value };
+		}
+
+		if (value === undefined || value === null || value === '') {
+			return { value: fallback(), error: field.required ? 'is required' : undefined };
+		}
+
+		const coerced = SettingsSchema.#coerce(value, field.type);
+		if (coerced === undefined) {
+			return { value: fallback(), error: `expected ${field.type}, got ${JSON.stringify(value)}` };
+		}
+
+		if (field.enum && !field.enum.includes(coerced)) {
+			return { value: fallback(), error: `${JSON.stringify(coerced)} is not one of ${field.enum.join(', ')}` };
+		}
+
+		if (field.type === 'number') {
+			if (field.integer && !Number.isInteger(coerced)) return { value: Math.round(coerced), error: `${coerced} is not an integer` };
+			if (field.min !== undefined && coerced < field.min) return { value: field.min, error: `${coerced} is below ${field.min}` };
+			if (field.max !== undefined && coerced > field.max) return { value: field.max, error: `${coerced} is above ${field.max}` };
+		}
+
+		if (field.type === 'string') {
+			if (field.maxLength !== undefined && coerced.length > field.maxLength) {
+				return { value: coerced.slice(0, field.maxLength), error: `is longer than ${field.maxLength} characters` };
+			}
+			if (field.pattern && !new RegExp(field.pattern).test(coerced)) {
+				return { value: fallback(), error: `${JSON.stringify(coerced)} does not match ${field.pattern}` };
+			}
+		}
+
+		if (field.validate) {
+			const error = field.validate(coerced);
+			if (error) return { value: fallback(), error };
+		}
+
+		return { value: coerced };
+	}
+
+	static #coerce(value, type) {
+		switch (type) {
+			case 'string':
+				return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' ? `${value}` : undefined;
+			case 'number': {
+				const number = typeof value === 'string' ? Number(value.trim()) : value;
+				return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+			}
+			case 'boolean':
+				if (typeof value === 'boolean') return value;
+				if (value === 'true' || value === 'on' || value === 1 || value === '1') return true;
+				if (value === 'false' || value === 'off' || value === 0 || value === '0') return false;
+				return undefined;
+			case 'array':
+				return Array.isArray(value) ? value : [value];
+			case 'object':
+				return typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+			default:
+				return value;
+		}
+	}
+
+	static #copy(value) {
+		return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+	}
+}
@@ -0,0 +1,173 @@
+/// <reference path="constants.js" />
+/// <reference path="context-registry.js" />
+/// <reference path="event-emitter.js" />
+/// <reference path="key-renderer.js" />
+/// <reference path="logger.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class StateMachine
+ * Named states of an action and the transitions between them, driven by the action's events.
+ * Each state maps to an entry of the action's States in manifest.json, several named states may share one entry
+ * and tell themselves apart by title and image. The current state is kept in Context.stateName and in the settings.
+ *
+ * new StateMachine({
+ *     initial: 'idle',
+ *     states: [
+ *         { name: 'idle', state: 0, title: 'Start' },
+ *         { name: 'running', state: 1, title: (context) => context.settings.label },
+ *         { name: 'error', state: 0, image: 'data:image/svg+xml;...' },
+ *     ],
+ *     transitions: {
+ *         idle: { keyUp: 'running' },
+ *         running: { keyUp: 'idle', failed: 'error' },
+ *         '*': { reset: 'idle' },
+ *     },
+ * });
+ *
+ * Transitions are keyed by the current state, * applies to every state, and then by event: any event of the action
+ * (keyUp, longPress, doubleTap, ...) or a custom one passed to StateMachine.transition.
+ */
+class StateMachine {
+	static #machines = new Map();
+
+	/**
+	 * Priority of the state handlers, above 0 so action handlers already see the new state
+	 */
+	static priority = 10;
+
+	states;
+	initial;
+	transitions;
+
+	/**
+	 * @param {*} definition - states (names or { name, state, title, image }), initial and transitions
+	 */
+	constructor({ states, initial, transitions = {} }) {
+		this.states = states.map((entry, index) =>
+			Object.assign({ state: index }, typeof entry === 'string' ? { name: entry } : entry)
+		);
+		this.initial = initial ?? this.states[0]?.name;
+		this.transitions = transitions;
+
+		const targets = Object.values(transitions).flatMap((events) => Object.values(events));
+		const unknown = targets.concat(this.initial).find((name) => !this.get(name));
+		if (unknown !== undefined) throw new Error(`Unknown state ${unknown}`);
+	}
+
+	/**
+	 * Declares the states of an action and starts following its events
+	 * @param {string} UUID
+	 * @param {*} machine - a StateMachine or its definition
+	 * @returns {StateMachine}
+	 */
+	static register(UUID, machine) {
+		const instance = machine instanceof StateMachine ? machine : new StateMachine(machine);
+
+		if (!this.#machines.has(UUID)) {
+			EventEmitter.on(`${UUID}.${WILL_APPEAR}`, (jsn, context) => context && this.#restore(context), { priority: this.priority });
+			EventEmitter.on(`${UUID}.*`, (jsn, context) => this.#follow(jsn, context), { priority: this.priority });
+		}
+
+		this.#machines.set(UUID, instance);
+		return instance;
+	}
+
+	/**
+	 * Returns the StateMachine of an action
+	 * @param {string} UUID
+	 * @returns {StateMachine|undefined}
+	 */
+	static for(UUID) {
+		return this.#machines.get(UUID);
+	}
+
+	/**
+	 * Fires an event on a key, moving it to the state the transitions table names
+	 * @param {Context|string} context - the Context or its id
+	 * @param {string} event
+	 * @returns {Promise<boolean>} whether the state changed
+	 */
+	static async transition(context, event) {
+		const instance = typeof context === 'string' ? ContextRegistry.get(context) : context;
+		const machine = this.#machines.get(instance?.action);
+		const next = machine?.next(instance.stateName ?? machine.initial, event);
+
+		if (!next) return false;
+
+		await this.set(instance, next, event);
+		return true;
+	}
+
+	/**
+	 * Moves a key to a named state, sending its state index, title and image and saving it in the settings
+	 * @param {Context|string} context - the Context or its id
+	 * @param {string} name
+	 * @param {string} event - the event causing the change, passed on to stateChange handlers
+	 */
+	static async set(context, name, event = null) {
+		const instance = typeof context === 'string' ? ContextRegistry.get(context) : context;
+		const machine = this.#machines.get(instance?.action);
+		if (!machine?.get(name)) throw new Error(`Unknown state ${name} for ${instance?.action}`);
+
+		const from = instance.stateName;
+		instance.stateName = name;
+		instance.settings = Object.assign({}, instance.settings, { [SETTINGS_STATE_KEY]: name });
+		StreamDeck.setSettings(instance.settings, instance.context);
+
+		EventEmitter.emit(`${instance.action}.${STATE_CHANGE}`, { action: instance.action, event: STATE_CHANGE, context: instance.context, payload: { from, to: name, event } }, instance);
+		await this.#show(instance, machine.get(name));
+	}
+
+	/**
+	 * Returns a state by name
+	 * @param {string} name
+	 * @returns {*}
+	 */
+	get(name) {
+		return this.states.find((state) => state.name === name);
+	}
+
+	/**
+	 * Returns the state an event leads to, or undefined when the event does not change the state
+	 * @param {string} from
+	 * @param {string} event
+	 * @returns {string|undefined}
+	 */
+	next(from, event) {
+		return this.transitions[from]?.[event] ?? this.transitions['*']?.[event];
+	}
+
+	static #follow({ event }, context) {
+		if (!context || event === STATE_CHANGE) return;
+
+		this.transition(context, event).catch((error) => Logger.channel(context.action).error('State transition failed', { context, error }));
+	}
+
+	static async #restore(context) {
+		const machine = this.#machines.get(context.action);
+		const saved = machine.get(context.settings?.[SETTINGS_STATE_KEY]);
+		const state = saved ?? machine.states.find(({ state }) => state === context.state) ?? machine.get(machine.initial);
+
+		context.stateName = state.name;
+		await this.#show(context, state);
+	}
+
+	static async #show(context, { name, state, title, image }) {
+		StreamDeck.setState(context.context, state);
+
+		// Titles and images may be computed asynchronously, a newer state of the key wins over them
+		if (title !== undefined) {
+			const value = typeof title === 'function' ? await title(context) : title;
+			if (context.stateName !== name) return;
+			StreamDeck.setTitle(context.context, value);
+		}
+
+		if (image !== undefined) {
+			let value = typeof image === 'function' ? await image(context) : image;
+			if (value instanceof KeyRenderer) value = await value.render();
+			if (context.stateName !== name) return;
+			StreamDeck.setImage(context.context, value);
+		}
+	}
+}
@@ -1,6 +1,10 @@
 /// <reference path="event-emitter.js" />
 /// <reference path="constants.js" />
-/// <reference path="context.js" />
+/// <reference path="context-registry.js" />
+/// <reference path="device-registry.js" />
+/// <reference path="gesture.js" />
+/// <reference path="localization.js" />
+/// <reference path="logger.js" />
 
 /**
  * @class StreamDeck
@@ -18,7 +22,41 @@ class StreamDeck {
 	static #appInfo;
 	static #on = EventEmitter.on;
 	static #emit = EventEmitter.emit;
-	static #actionList = [];
+	static #queue = new Map();
+	static #queueId = 0;
+	static #reconnectAttempts = 0;
+	static #reconnectTimer = null;
+	static #hasConnected = false;
+	static #pending = new Map();
+
+	/**
+	 * Default time in milliseconds to wait for the response of a fetch request
+	 */
+	static requestTimeout = 5000;
+
+	/**
+	 * Reconnect backoff in milliseconds and the maximum number of queued messages
+	 */
+	static reconnectOptions = {
+		initialDelay: 500,
+		maxDelay: 30000,
+		factor: 2,
+		maxQueueSize: 500,
+	};
+
+	/**
+	 * How each outbound event is queued while disconnected, events not listed are kept
+	 */
+	static queuePolicies = {
+		[SET_TITLE]: QUEUE_COALESCE,
+		[SET_IMAGE]: QUEUE_COALESCE,
+		[SET_STATE]: QUEUE_COALESCE,
+		[SET_GLOBAL_SETTINGS]: QUEUE_COALESCE,
+		[GET_SETTINGS]: QUEUE_COALESCE,
+		[GET_GLOBAL_SETTINGS]: QUEUE_COALESCE,
+		[SET_SETTINGS]: QUEUE_KEEP,
+		[LOG_MESSAGE]: QUEUE_DROP,
+	};
 
 	/**
 	 * Connect to Stream Deck
@@ -37,11 +75,26 @@ class StreamDeck {
 		this.#appInfo = JSON.parse(appInfoString);
 		this.#language = this.#appInfo?.application?.language ?? null;
 
+		// Like action instances, devices are only tracked in the plugin
+		if (messageType === REGISTER_PLUGIN) DeviceRegistry.reset(this.#appInfo?.devices);
+
 		if (this.#websocket) {
+			this.#websocket.onclose = null;
 			this.#websocket.close();
 			this.#websocket = null;
 		}
 
+		clearTimeout(this.#reconnectTimer);
+		this.#reconnectAttempts = 0;
+		this.#hasConnected = false;
+		this.#open();
+	}
+
+	/**
+	 * Opens the websocket, registers with Stream Deck and flushes the outbound queue
+	 * @private
+	 */
+	static #open() {
 		this.#websocket = new WebSocket('ws://127.0.0.1:' + this.#port);
 
 		this.#websocket.onopen = () => {
@@ -51,7 +104,17 @@ class StreamDeck {
 			};
 
 			this.#websocket.send(JSON.stringify(json));
+			this.#flush();
 
+			const attempts = this.#reconnectAttempts;
+			this.#reconnectAttempts = 0;
+
+			if (this.#hasConnected) {
+				this.#emit(RECONNECTED, { attempts });
+				return;
+			}
+
+			this.#hasConnected = true;
 			this.#emit(CONNECTED, {
 				connection: this.#websocket,
 				port: this.#port,
@@ -63,13 +126,17 @@ class StreamDeck {
 		};
 
 		this.#websocket.onerror = (evt) => {
-			const error = `WEBOCKET ERROR: ${evt}, ${evt.data}, ${SocketErrors[evt?.code]}`;
-			console.warn(error);
-			this.log(error);
+			Logger.channel(LOG_STREAM_DECK_CHANNEL).error('Websocket error', { data: evt?.data, reason: SocketErrors[evt?.code] });
 		};
 
 		this.#websocket.onclose = (evt) => {
-			console.warn('WEBOCKET CLOSED:', SocketErrors[evt?.code]);
+			Logger.channel(LOG_STREAM_DECK_CHANNEL).warn('Websocket closed', { code: evt?.code, reason: SocketErrors[evt?.code] });
+
+			if (this.#reconnectAttempts === 0) {
+				this.#emit(DISCONNECTED, { code: evt?.code, reason: SocketErrors[evt?.code] });
+			}
+
+			this.#scheduleReconnect();
 		};
 
 		this.#websocket.onmessage = (evt) => {
@@ -77,61 +144,141 @@ class StreamDeck {
 			const {action, event} = data;
 			const message = action ? `${action}.${event}` : event;
 			
-			if(!(action in this.#actionList)){
-				this.#actionList[action] = new Context(data);
-			} 
-			else {
-				var context = (Context)this.#actionList[action];
-				context.update(data);
+			// Action instances and devices only exist in the plugin, the property inspector has no registry
+			const instance = this.#messageType === REGISTER_PLUGIN ? ContextRegistry.resolve(data) : undefined;
+			if (this.#messageType === REGISTER_PLUGIN) DeviceRegistry.resolve(data);
+
+			// The metadata GlobalSettings stores with the global settings is passed next to them, not in them
+			if (event === DID_RECEIVE_GLOBAL_SETTINGS && data.payload?.settings && GLOBAL_SETTINGS_META_KEY in data.payload.settings) {
+				const { [GLOBAL_SETTINGS_META_KEY]: meta, ...settings } = data.payload.settings;
+				data.payload = Object.assign({}, data.payload, { settings, [GLOBAL_SETTINGS_META_KEY]: meta });
 			}
 
-			if (message && message !== '') this.#emit(message, data);
+			if (event === DID_RECEIVE_SETTINGS) this.#settle(`${event}.${data.context}`, data.payload?.settings);
+			if (event === DID_RECEIVE_SETTINGS && data.context === this.#actionInfo?.context) this.#keepSettings(data.payload?.settings);
+			if (event === DID_RECEIVE_GLOBAL_SETTINGS) this.#settle(event, data.payload?.settings);
+
+			// The keyUp ending a long press is consumed by Gesture, no handler gets it
+			if (instance && !Gesture.track(data, instance)) return;
+
+			if (message && message !== '') this.#emit(message, data, instance);
 		};
 	}
 
 	/**
-	 * Write to log file
+	 * Reopens the websocket after an exponential backoff delay
+	 * @private
+	 */
+	static #scheduleReconnect() {
+		const { initialDelay, maxDelay, factor } = this.reconnectOptions;
+		const delay = Math.min(initialDelay * Math.pow(factor, this.#reconnectAttempts), maxDelay);
+
+		this.#reconnectAttempts++;
+		clearTimeout(this.#reconnectTimer);
+		this.#reconnectTimer = setTimeout(() => this.#open(), delay);
+	}
+
+	/**
+	 * Sends a message when the websocket is open, otherwise queues it following queuePolicies
+	 * @param json
+	 * @private
+	 */
+	static #dispatch(json) {
+		if (this.#websocket?.readyState === WebSocket.OPEN) {
+			this.#websocket.send(JSON.stringify(json));
+			return;
+		}
+
+		const policy = this.queuePolicies[json.event] ?? QUEUE_KEEP;
+		if (policy === QUEUE_DROP) return;
+
+		const key = policy === QUEUE_COALESCE ? `${json.event}.${json.context}` : this.#queueId++;
+
+		// Re-inserting a coalesced message moves it behind everything queued before it
+		this.#queue.delete(key);
+		this.#queue.set(key, json);
+
+		if (this.#queue.size > this.reconnectOptions.maxQueueSize) {
+			this.#queue.delete(this.#queue.keys().next().value);
+		}
+	}
+
+	/**
+	 * Sends all queued messages in order
+	 * @private
+	 */
+	static #flush() {
+		const messages = Array.from(this.#queue.values());
+		this.#queue.clear();
+		messages.forEach((json) => this.#websocket.send(JSON.stringify(json)));
+	}
+
+	/**
+	 * The registration event, REGISTER_PLUGIN or REGISTER_PROPERTY_INSPECTOR, set when connecting
+	 * @returns {string}
+	 */
+	static get messageType() {
+		return this.#messageType;
+	}
+
+	/**
+	 * The action and context a property inspector was opened for, null in the plugin
+	 * @returns {*}
+	 */
+	static get actionInfo() {
+		return this.#actionInfo;
+	}
+
+	/**
+	 * Information about the host (StreamDeck) application, set when connecting
+	 * @returns {*}
+	 */
+	static get appInfo() {
+		return this.#appInfo;
+	}
+
+	/**
+	 * Write to log file. Prefer Logger, which batches and rate limits what it forwards here
 	 * @param message
 	 */
 	static log(message) {
-		try {
-			if (this.#websocket) {
-				const json = {
-					event: LOG_MESSAGE,
-					payload: {
-						message: message,
-					},
-				};
-				this.#websocket.send(JSON.stringify(json));
-			}
-		} catch (e) {
-			console.log('Websocket not defined');
-		}
+		this.#dispatch({
+			event: LOG_MESSAGE,
+			payload: {
+				message: message,
+			},
+		});
 	}
 
 	/**
-	 * Fetches the specified language json file
+	 * Fetches the language json files of the current language and its fallbacks.
+	 * In the property inspector, localizable elements are translated now and whenever they are added
 	 * @param pathPrefix
 	 * @returns {Promise<void>}
 	 */
 	static async loadLocalization(pathPrefix) {
-		const manifest = await this.readJson(`${pathPrefix}${this.#language}.json`);
-		this.#localization = manifest['Localization'] ?? null;
-
-		if (this.#messageType === REGISTER_PROPERTY_INSPECTOR && this.#localization) {
-			const elements = document.querySelectorAll(DATA_LOCALIZE);
+		this.#localization = await Localization.load(pathPrefix, this.#language);
 
-			elements.forEach((element) => {
-				element.textContent =
-					this.#localization[element.textContent] ?? element.textContent;
-			});
+		if (this.#messageType === REGISTER_PROPERTY_INSPECTOR) {
+			Localization.translate(document);
+			Localization.observe(document.body);
 		}
 	}
 
 	/**
-	 *
-	 * @param {*} path
-	 * @returns
+	 * Translates a key with the loaded localization
+	 * @param {string} key
+	 * @param {*} params - values for {placeholders}, count selects the plural form
+	 * @returns {string}
+	 */
+	static t(key, params) {
+		return Localization.t(key, params);
+	}
+
+	/**
+	 * Reads a JSON file
+	 * @param {*} path - relative to the page
+	 * @returns {Promise<*>} rejects when the file is missing, empty or malformed
 	 */
 	static async readJson(path) {
 		return new Promise((resolve, reject) => {
@@ -142,10 +289,13 @@ class StreamDeck {
 			req.onreadystatechange = (response) => {
 				if (req.readyState === 4) {
 					const jsonString = response?.target?.response;
-					if (jsonString) {
-						resolve(JSON.parse(response?.target?.response));
-					} else {
-						reject();
+					if (!jsonString) return reject();
+
+					// A parse error thrown in this handler would never settle the promise
+					try {
+						resolve(JSON.parse(jsonString));
+					} catch (error) {
+						reject(error);
 					}
 				}
 			};
@@ -162,7 +312,7 @@ class StreamDeck {
 	 */
 	static send(context, fn, payload) {
 		const pl = Object.assign({}, {event: fn, context: context}, payload);
-		this.#websocket && this.#websocket.send(JSON.stringify(pl));
+		this.#dispatch(pl);
 	}
 
 	/**
@@ -173,12 +323,34 @@ class StreamDeck {
 		this.send(context ?? this.#uuid, GET_SETTINGS, {});
 	}
 
+	/**
+	 * Request the actions's persistent data and wait for the matching didReceiveSettings event.
+	 * Concurrent requests for the same context share one request
+	 * @param context - defaults to the property inspector's action
+	 * @param timeout - milliseconds before the promise rejects
+	 * @returns {Promise<*>} the settings
+	 */
+	static fetchSettings(context, timeout = this.requestTimeout) {
+		const target = context ?? this.#actionInfo?.context;
+
+		if (!target) {
+			return Promise.reject(new Error('fetchSettings requires a context'));
+		}
+
+		return this.#request(`${DID_RECEIVE_SETTINGS}.${target}`, timeout, () => this.getSettings(context));
+	}
+
 	/**
 	 * Save the actions's persistent data.
 	 * @param payload
 	 * @param context
 	 */
 	static setSettings(payload, context) {
+		// Stream Deck does not echo the settings to their sender, the Context or actionInfo keeps them
+		const instance = this.#messageType === REGISTER_PLUGIN ? ContextRegistry.get(context) : undefined;
+		if (instance) instance.settings = payload || {};
+		if (this.#messageType === REGISTER_PROPERTY_INSPECTOR) this.#keepSettings(payload || {});
+
 		this.send(context ?? this.#uuid, SET_SETTINGS, {
 			action: StreamDeck?.actionInfo?.action,
 			payload: payload || {},
@@ -186,6 +358,16 @@ class StreamDeck {
 		});
 	}
 
+	/**
+	 * Keeps the latest settings of the property inspector's action in actionInfo
+	 * @param settings
+	 * @private
+	 */
+	static #keepSettings(settings) {
+		if (!this.#actionInfo) return;
+		this.#actionInfo.payload = Object.assign({}, this.#actionInfo.payload, { settings: settings ?? {} });
+	}
+
 	/**
 	 * Request the plugin's persistent data. StreamDeck does not return the data, but trigger the plugin/property inspectors didReceiveGlobalSettings event
 	 */
@@ -193,6 +375,58 @@ class StreamDeck {
 		this.send(this.#uuid, GET_GLOBAL_SETTINGS, {});
 	}
 
+	/**
+	 * Request the plugin's persistent data and wait for the matching didReceiveGlobalSettings event.
+	 * Concurrent requests share one request
+	 * @param timeout - milliseconds before the promise rejects
+	 * @returns {Promise<*>} the global settings
+	 */
+	static fetchGlobalSettings(timeout = this.requestTimeout) {
+		return this.#request(DID_RECEIVE_GLOBAL_SETTINGS, timeout, () => this.getGlobalSettings());
+	}
+
+	/**
+	 * Returns the pending promise for a response key, or sends a new request
+	 * @param key - the event the response is correlated with
+	 * @param timeout
+	 * @param sendRequest
+	 * @returns {Promise<*>}
+	 * @private
+	 */
+	static #request(key, timeout, sendRequest) {
+		if (this.#pending.has(key)) {
+			return this.#pending.get(key).promise;
+		}
+
+		const request = {};
+		request.promise = new Promise((resolve, reject) => {
+			request.resolve = resolve;
+			request.timer = setTimeout(() => {
+				this.#pending.delete(key);
+				reject(new Error(`Timed out after ${timeout}ms waiting for ${key}`));
+			}, timeout);
+		});
+
+		this.#pending.set(key, request);
+		sendRequest();
+		return request.promise;
+	}
+
+	/**
+	 * Resolves the pending request for a response key
+	 * @param key
+	 * @param value
+	 * @private
+	 */
+	static #settle(key, value) {
+		const request = this.#pending.get(key);
+		if (!request) return;
+
+		clearTimeout(request.timer);
+		this.#pending.delete(key);
+		request.resolve(value ?? {});
+	}
+
 	/**
 	 * Save the plugin's persistent data
 	 * @param payload
@@ -252,12 +486,12 @@ class StreamDeck {
 	/**
 	 * Set the state of the actions
 	 * @param context
-	 * @param payload
+	 * @param state - the index of the state in the action's States in manifest.json
 	 */
-	static setState(context, payload) {
+	static setState(context, state) {
 		this.send(context, SET_STATE, {
 			payload: {
-				state: 1 - Number(payload === 0),
+				state: Number(state) || 0,
 			},
 		});
 	}
@@ -281,10 +515,11 @@ class StreamDeck {
 	 * Send payload to property inspector
 	 * @param context
 	 * @param payload
+	 * @param action - defaults to the action of the context
 	 */
-	static sendToPropertyInspector(context, payload) {
+	static sendToPropertyInspector(context, payload, action) {
 		this.send(context, SEND_TO_PROPERTY_INSPECTOR, {
-			action: this.#actionInfo.action,
+			action: action ?? (this.#messageType === REGISTER_PLUGIN ? ContextRegistry.get(context)?.action : this.#actionInfo?.action),
 			payload: payload,
 		});
 	}
@@ -313,6 +548,25 @@ class StreamDeck {
 		return this;
 	}
 
+	/**
+	 * Registers a callback function for when the connection to Stream Deck is lost.
+	 * Outbound messages are queued until the connection is back
+	 * @param {*} fn
+	 */
+	static onDisconnected(fn) {
+		this.#on(DISCONNECTED, (jsn) => fn(jsn));
+		return this;
+	}
+
+	/**
+	 * Registers a callback function for when the connection to Stream Deck is reestablished and the queue is flushed
+	 * @param {*} fn
+	 */
+	static onReconnected(fn) {
+		this.#on(RECONNECTED, (jsn) => fn(jsn));
+		return this;
+	}
+
 	/**
 	 * Registers a callback function for when Stream Deck sends data to the property inspector
 	 * @param fn
@@ -0,0 +1,247 @@
+/// <reference path="constants.js" />
+/// <reference path="context-registry.js" />
+/// <reference path="event-emitter.js" />
+/// <reference path="logger.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class TaskScheduler
+ * Runs periodic tasks for the visible keys of an action: a task starts when a key appears and stops when it disappears.
+ *
+ * TaskScheduler.register('com.chektek.template.build', {
+ *     interval: 30000,
+ *     source: (context) => `build:${context.settings.url}`,
+ *     run: (context) => fetch(context.settings.url).then((response) => response.json()),
+ *     update: (build, context) => StreamDeck.setTitle(context.context, build.status),
+ * });
+ *
+ * Keys whose source returns the same key share one timer and one run, whatever action or task they belong to,
+ * and each of them gets the result through update. Without a source every key runs the task on its own.
+ * A shared source runs at the shortest interval of its keys, with the run of the task that started it.
+ * Failed runs are retried later and later (backoff), jitter spreads runs of sources started together.
+ * Timers do not run while the computer sleeps, on wake a source either runs at once (WAKE_CATCH_UP) or waits a full interval (WAKE_SKIP).
+ */
+class TaskScheduler {
+	static #tasks = new Map();
+	static #sources = new Map();
+	static #subscriptions = new Map();
+	static #initialized = false;
+	static #ids = 0;
+
+	/**
+	 * Default options of a task
+	 */
+	static defaults = {
+		interval: 1000,
+		jitter: 0,
+		backoff: 2,
+		maxDelay: 300000,
+		wake: WAKE_CATCH_UP,
+		immediate: true,
+	};
+
+	/**
+	 * Adds a periodic task to the keys of an action, keys already visible start it right away
+	 * @param {string} UUID
+	 * @param {*} task - run(context), and optionally update(value, context), source(context), interval in ms,
+	 * jitter as a fraction of the interval, backoff factor and maxDelay for failed runs, wake and immediate (run when a key appears)
+	 * @returns {*} the task, to pass to unregister
+	 */
+	static register(UUID, task) {
+		if (typeof task?.run !== 'function') throw new Error(`A task of ${UUID} needs a run function`);
+
+		this.#initialize();
+
+		const entry = Object.assign({ UUID, id: ++this.#ids }, this.defaults, task);
+		if (!this.#tasks.has(UUID)) this.#tasks.set(UUID, []);
+		this.#tasks.get(UUID).push(entry);
+
+		ContextRegistry.all(UUID).forEach((context) => this.#subscribe(context, entry));
+		return entry;
+	}
+
+	/**
+	 * Removes a task, or every task of an action, stopping it on all keys
+	 * @param {string} UUID
+	 * @param {*} [task] - a task returned by register
+	 */
+	static unregister(UUID, task) {
+		const tasks = this.#tasks.get(UUID) ?? [];
+		const removed = task ? tasks.filter((entry) => entry === task) : tasks;
+
+		ContextRegistry.all(UUID).forEach((context) => removed.forEach((entry) => this.#unsubscribe(context, entry)));
+
+		const kept = tasks.filter((entry) => !removed.includes(entry));
+		if (kept.length) this.#tasks.set(UUID, kept);
+		else this.#tasks.delete(UUID);
+	}
+
+	/**
+	 * Runs the tasks of a key now, instead of waiting for their next run. Keys sharing their sources are updated as well
+	 * @param {Context|string} context - the Context or its id
+	 * @returns {Promise<void>}
+	 */
+	static refresh(context) {
+		const id = typeof context === 'string' ? context : context?.context;
+		const keys = Array.from(this.#subscriptions.get(id)?.values() ?? []);
+
+		return Promise.all(keys.map((key) => this.#run(this.#sources.get(key)))).then(() => undefined);
+	}
+
+	/**
+	 * Returns true when a key has running tasks
+	 * @param {Context|string} context - the Context or its id
+	 * @returns {boolean}
+	 */
+	static isRunning(context) {
+		const id = typeof context === 'string' ? context : context?.context;
+		return (this.#subscriptions.get(id)?.size ?? 0) > 0;
+	}
+
+	static #initialize() {
+		if (this.#initialized) return;
+
+		this.#initialized = true;
+		ContextRegistry.onAdded((context) => this.#tasks.get(context.action)?.forEach((task) => this.#subscribe(context, task)));
+		ContextRegistry.onRemoved((context) => this.#tasks.get(context.action)?.forEach((task) => this.#unsubscribe(context, task)));
+		EventEmitter.on(`*.${DID_RECEIVE_SETTINGS}`, (jsn, context) => context && this.#resubscribe(context));
+		StreamDeck.onSystemDidWakeUp(() => this.#sources.forEach((source) => this.#wake(source, Date.now())));
+	}
+
+	static #sourceKey(context, task) {
+		const key = task.source?.(context);
+		return key === undefined || key === null ? `${context.context}|${task.id}` : `${key}`;
+	}
+
+	static #subscribe(context, task) {
+		const key = this.#sourceKey(context, task);
+		let source = this.#sources.get(key);
+
+		if (!this.#subscriptions.has(context.context)) this.#subscriptions.set(context.context, new Map());
+		this.#subscriptions.get(context.context).set(task, key);
+
+		if (!source) {
+			source = { key, task, subscribers: new Map(), timer: null, running: null, failures: 0, last: 0, due: 0, hasValue: false, value: undefined };
+			this.#sources.set(key, source);
+			source.subscribers.set(context.context, { context, task });
+
+			if (task.immediate) this.#run(source);
+			else this.#schedule(source, this.#interval(source));
+			return;
+		}
+
+		source.subscribers.set(context.context, { context, task });
+
+		// A key joining a shared source shows its latest value until the next run
+		if (source.hasValue) this.#deliver({ context, task }, source.value);
+		if (source.running) return;
+
+		// A shorter interval brings the next run forward
+		const due = (source.last || Date.now()) + this.#interval(source);
+		if (due < source.due) this.#schedule(source, Math.max(0, due - Date.now()));
+	}
+
+	static #unsubscribe(context, task) {
+		const subscriptions = this.#subscriptions.get(context.context);
+		const key = subscriptions?.get(task);
+		if (key === undefined) return;
+
+		subscriptions.delete(task);
+		if (!subscriptions.size) this.#subscriptions.delete(context.context);
+
+		const source = this.#sources.get(key);
+		if (!source) return;
+
+		source.subscribers.delete(context.context);
+		if (source.subscribers.size) return;
+
+		clearTimeout(source.timer);
+		this.#sources.delete(key);
+	}
+
+	static #resubscribe(context) {
+		this.#tasks.get(context.action)?.forEach((task) => {
+			if (this.#subscriptions.get(context.context)?.get(task) === this.#sourceKey(context, task)) return;
+
+			this.#unsubscribe(context, task);
+			this.#subscribe(context, task);
+		});
+	}
+
+	static #interval(source) {
+		return Math.min(source.task.interval, ...Array.from(source.subscribers.values(), ({ task }) => task.interval));
+	}
+
+	static #schedule(source, delay) {
+		clearTimeout(source.timer);
+		source.due = Date.now() + delay;
+		source.timer = setTimeout(() => this.#tick(source), delay);
+	}
+
+	static #tick(source) {
+		const now = Date.now();
+
+		// Timers do not run while the computer sleeps, a late timer means it just woke up
+		if (now - source.due > SLEEP_DETECTION_GAP) return this.#wake(source, now);
+
+		this.#run(source);
+	}
+
+	static #wake(source, now) {
+		if (!this.#sources.has(source.key) || source.running) return;
+
+		const interval = this.#interval(source);
+
+		if (source.task.wake === WAKE_SKIP) return this.#schedule(source, interval);
+		if (now - source.last >= interval) return this.#run(source);
+
+		this.#schedule(source, source.last + interval - now);
+	}
+
+	static #run(source) {
+		if (!source || !this.#sources.has(source.key)) return Promise.resolve();
+		if (source.running) return source.running;
+
+		clearTimeout(source.timer);
+
+		const [{ context }] = source.subscribers.values();
+
+		source.running = Promise.resolve()
+			.then(() => source.task.run(context))
+			.then(
+				(value) => {
+					source.failures = 0;
+					source.hasValue = true;
+					source.value = value;
+					source.subscribers.forEach((subscriber) => this.#deliver(subscriber, value));
+				},
+				(error) => {
+					source.failures++;
+					Logger.channel('task-scheduler').warn('Task failed', { context: context.context, action: source.task.UUID, source: source.key, failures: source.failures, error });
+				}
+			)
+			.finally(() => {
+				source.running = null;
+				source.last = Date.now();
+				if (this.#sources.get(source.key) === source) this.#schedule(source, this.#delay(source));
+			});
+
+		return source.running;
+	}
+
+	static #deliver({ context, task }, value) {
+		if (!task.update) return;
+
+		Promise.resolve()
+			.then(() => task.update(value, context))
+			.catch((error) => Logger.channel('task-scheduler').warn('Task update failed', { context: context.context, action: task.UUID, error }));
+	}
+
+	static #delay(source) {
+		const { jitter, backoff, maxDelay } = source.task;
+		const interval = this.#interval(source);
+		const delay = source.failures ? Math.min(interval * backoff ** source.failures, Math.max(maxDelay, interval)) : interval;
+
+		return Math.max(0, delay + (Math.random() * 2 - 1) * jitter * interval);
+	}
+}
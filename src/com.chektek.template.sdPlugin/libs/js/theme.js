@@ -0,0 +1,183 @@
+/// <reference path="constants.js" />
+
+/**
+ * @class Theme
+ * Styles the property inspector and external windows with the colors of the Stream Deck application.
+ * The host colors (appInfo.colors) and the palette derived from them are set as CSS custom properties on the page,
+ * so custom controls can use them too:
+ *
+ * .my-toggle.on { background: var(--sdpi-highlight-color); }
+ *
+ * Theme.brand = { highlightColor: '#2e9bff' };  // plugin colors win over the host's
+ * Theme.apply(appInfo, { variant: THEME_AUTO });
+ *
+ * Variants set the base colors of sdpi.css, THEME_AUTO follows the system's light or dark appearance.
+ */
+class Theme {
+	static #applied = null;
+	static #media = null;
+
+	/**
+	 * Host colors used when appInfo has none, as sent by Stream Deck 6
+	 */
+	static defaults = {
+		buttonPressedBackgroundColor: '#303030FF',
+		buttonPressedBorderColor: '#646464FF',
+		buttonPressedTextColor: '#969696FF',
+		disabledColor: '#F7821B59',
+		highlightColor: '#F7821BFF',
+		mouseDownColor: '#CF6304FF',
+	};
+
+	/**
+	 * Colors overriding the host colors, any of the keys of Theme.defaults
+	 */
+	static brand = {};
+
+	/**
+	 * Base colors of sdpi.css per variant
+	 */
+	static variants = {
+		[THEME_DARK]: {
+			bgcolor: '#2D2D2D',
+			background: '#3D3D3D',
+			color: '#d8d8d8',
+			bordercolor: '#3a3a3a',
+			buttonbordercolor: '#969696',
+		},
+		[THEME_LIGHT]: {
+			bgcolor: '#f2f2f2',
+			background: '#ffffff',
+			color: '#303030',
+			bordercolor: '#d0d0d0',
+			buttonbordercolor: '#7a7a7a',
+		},
+	};
+
+	/**
+	 * Sets the colors of the page
+	 * @param {*} appInfo - the appInfo of the property inspector, or the one its external window was welcomed with
+	 * @param {*} options - variant (THEME_DARK, THEME_LIGHT or THEME_AUTO) and brand colors, Theme.brand by default
+	 * @returns {*} the CSS custom properties that were set
+	 */
+	static apply(appInfo, { variant = THEME_DARK, brand = this.brand } = {}) {
+		this.#applied = { appInfo, variant, brand };
+		this.#watch(variant === THEME_AUTO);
+
+		const properties = this.palette(appInfo?.colors, this.#variant(variant), brand);
+		const root = document.documentElement;
+
+		Object.entries(properties).forEach(([name, value]) => root.style.setProperty(name, value));
+		root.dataset.theme = this.#variant(variant);
+		this.#addRules();
+
+		return properties;
+	}
+
+	/**
+	 * Returns the CSS custom properties for host colors, a variant and brand colors
+	 * @param {*} colors - appInfo.colors
+	 * @param {string} variant - THEME_DARK or THEME_LIGHT
+	 * @param {*} brand
+	 * @returns {*}
+	 */
+	static palette(colors, variant = THEME_DARK, brand = {}) {
+		const host = Object.assign({}, this.defaults, colors, brand);
+		const highlight = host.highlightColor.slice(0, 7);
+		const properties = {};
+
+		// appInfo may lack mouseDownColor, and a brand highlight needs pressed and disabled colors of its own
+		if (!colors?.mouseDownColor || brand.highlightColor) host.mouseDownColor = brand.mouseDownColor ?? this.fade(highlight, -40);
+		if (brand.highlightColor) host.disabledColor = brand.disabledColor ?? `${highlight}59`;
+
+		Object.entries(this.variants[variant]).forEach(([name, value]) => (properties[`--sdpi-${name}`] = value));
+		Object.entries(host).forEach(([name, value]) => (properties[`--sdpi-${this.#kebabCase(name)}`] = value));
+
+		return Object.assign(properties, {
+			'--sdpi-highlight-lighter': this.fade(highlight, 100),
+			'--sdpi-highlight-light': this.fade(highlight, 60),
+			'--sdpi-highlight-dark': this.fade(highlight, -60),
+		});
+	}
+
+	/**
+	 * Lightens or darkens a color
+	 * @param {string} color - #rrggbb, an alpha channel is dropped
+	 * @param {number} amount - added to each channel, negative to darken
+	 * @returns {string} #rrggbb
+	 */
+	static fade(color, amount) {
+		const value = parseInt(color.replace('#', '').slice(0, 6), 16);
+		const channel = (shift) => Math.min(255, Math.max(0, ((value >> shift) & 0xff) + amount));
+		return `#${[16, 8, 0].map((shift) => channel(shift).toString(16).padStart(2, '0')).join('')}`;
+	}
+
+	static #variant(variant) {
+		if (variant !== THEME_AUTO) return variant;
+		return window.matchMedia?.('(prefers-color-scheme: light)').matches ? THEME_LIGHT : THEME_DARK;
+	}
+
+	static #watch(enabled) {
+		if (enabled && !this.#media && window.matchMedia) {
+			this.#media = window.matchMedia('(prefers-color-scheme: light)');
+			this.#media.addEventListener('change', () => this.#applied?.variant === THEME_AUTO && this.apply(this.#applied.appInfo, this.#applied));
+		}
+	}
+
+	static #addRules() {
+		if (document.getElementById(THEME_STYLE_ID)) return;
+
+		const node = document.createElement('style');
+		node.id = THEME_STYLE_ID;
+		node.textContent = `
+			input[type="radio"]:checked + label span,
+			input[type="checkbox"]:checked + label span {
+				background-color: var(--sdpi-highlight-color);
+			}
+
+			input[type="radio"]:active:checked + label span,
+			input[type="checkbox"]:active:checked + label span {
+				background-color: var(--sdpi-mouse-down-color);
+			}
+
+			input[type="radio"]:active + label span,
+			input[type="checkbox"]:active + label span {
+				background-color: var(--sdpi-button-pressed-border-color);
+			}
+
+			td.selected,
+			td.selected:hover,
+			li.selected:hover,
+			li.selected {
+				color: white;
+				background-color: var(--sdpi-highlight-color);
+			}
+
+			.sdpi-file-label > label:active,
+			.sdpi-file-label.file:active,
+			label.sdpi-file-label:active,
+			label.sdpi-file-info:active,
+			input[type="file"]::-webkit-file-upload-button:active,
+			button:active {
+				border: 1pt solid var(--sdpi-button-pressed-border-color);
+				background-color: var(--sdpi-button-pressed-background-color);
+				color: var(--sdpi-button-pressed-text-color);
+			}
+
+			::-webkit-progress-value,
+			meter::-webkit-meter-optimum-value {
+				background: linear-gradient(var(--sdpi-highlight-light), var(--sdpi-highlight-lighter) 20%, var(--sdpi-highlight-color) 45%, var(--sdpi-highlight-color) 55%, var(--sdpi-highlight-light));
+			}
+
+			::-webkit-progress-value:active,
+			meter::-webkit-meter-optimum-value:active {
+				background: linear-gradient(var(--sdpi-highlight-color), var(--sdpi-highlight-light) 20%, var(--sdpi-highlight-dark) 45%, var(--sdpi-highlight-dark) 55%, var(--sdpi-highlight-color));
+			}
+		`;
+		document.head.appendChild(node);
+	}
+
+	static #kebabCase(name) {
+		return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+	}
+}
@@ -0,0 +1,244 @@
+/// <reference path="constants.js" />
+/// <reference path="context-registry.js" />
+/// <reference path="event-emitter.js" />
+/// <reference path="key-renderer.js" />
+/// <reference path="localization.js" />
+/// <reference path="stream-deck.js" />
+
+/**
+ * @class TitleFormatter
+ * Fits titles on keys: text is measured with the font the user picked (Context.titleParameters), wrapped at word
+ * boundaries and then ellipsized or shrunk when it has more lines than the key holds.
+ *
+ * TitleFormatter.setTitle(context, '{load:percent} {host}', { load: 0.42, host: 'build-agent-03' });
+ * TitleFormatter.setTitle(context, '{updated:time}', { updated: new Date() }, { overflow: TITLE_OVERFLOW_SHRINK });
+ *
+ * Templates fill {name} placeholders, {name:format} and {name:format:argument} format them with TitleFormatter.formats
+ * in the Stream Deck language. Titles are laid out again when the user changes the title font or alignment.
+ * Stream Deck titles have a fixed font size, so shrinking draws the title into the key image, over an optional background.
+ */
+class TitleFormatter {
+	static #titles = new Map();
+	static #ctx;
+	static #initialized = false;
+
+	/**
+	 * Title parameters of keys Stream Deck has not sent titleParameters for yet
+	 */
+	static defaults = {
+		fontFamily: 'Arial',
+		fontSize: 12,
+		fontStyle: '',
+		showTitle: true,
+		titleAlignment: 'bottom',
+		titleColor: '#ffffff',
+	};
+
+	/**
+	 * Formats for template placeholders: (value, locale, argument) => string
+	 */
+	static formats = {
+		number: (value, locale, digits) =>
+			new Intl.NumberFormat(locale, digits === undefined ? {} : { minimumFractionDigits: Number(digits), maximumFractionDigits: Number(digits) }).format(value),
+		integer: (value, locale) => new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(value),
+		percent: (value, locale, digits = 0) => new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: Number(digits) }).format(value),
+		compact: (value, locale) => new Intl.NumberFormat(locale, { notation: 'compact' }).format(value),
+		date: (value, locale, style = 'short') => new Intl.DateTimeFormat(locale, { dateStyle: style }).format(new Date(value)),
+		time: (value, locale, style = 'short') => new Intl.DateTimeFormat(locale, { timeStyle: style }).format(new Date(value)),
+		datetime: (value, locale, style = 'short') => new Intl.DateTimeFormat(locale, { dateStyle: style, timeStyle: style }).format(new Date(value)),
+	};
+
+	/**
+	 * Fills a template, {name} inserts a value and {name:format:argument} formats it
+	 * @param {string} template
+	 * @param {*} values
+	 * @param {string} locale - defaults to the Stream Deck language
+	 * @returns {string}
+	 */
+	static fill(template, values = {}, locale = Localization.language.replace('_', '-')) {
+		return `${template}`.replace(/\{(\w+)(?::(\w+))?(?::([\w.-]+))?\}/g, (match, name, format, argument) => {
+			if (!(name in values)) return match;
+
+			const value = values[name];
+			if (!format || value === null || value === undefined) return `${value ?? ''}`;
+			if (!this.formats[format]) throw new Error(`Unknown title format ${format}`);
+
+			return this.formats[format](value, locale, argument);
+		});
+	}
+
+	/**
+	 * Breaks a text into the lines that fit a key with the given title parameters
+	 * @param {string} text - new lines are kept
+	 * @param {*} parameters - titleParameters of the key
+	 * @param {*} options - overflow (TITLE_OVERFLOW_ELLIPSIS or TITLE_OVERFLOW_SHRINK), maxLines and width in pixels
+	 * @returns {{lines: string[], fontSize: number}} the lines and the font size they fit at
+	 */
+	static layout(text, parameters = {}, { overflow = TITLE_OVERFLOW_ELLIPSIS, maxLines = Infinity, width = KEY_IMAGE_SIZE - TITLE_PADDING * 2 } = {}) {
+		const { fontSize, titleAlignment } = Object.assign({}, this.defaults, parameters);
+		// A title at the top or bottom keeps the other half of the key for the image
+		const height = (KEY_IMAGE_SIZE - TITLE_PADDING * 2) * (titleAlignment === 'middle' ? 1 : 0.5);
+		const fit = (size) => {
+			const measure = this.#measure(parameters, size);
+			const limit = Math.max(1, Math.min(maxLines, Math.floor(height / (size * TITLE_LINE_HEIGHT))));
+			return { lines: this.#wrap(`${text}`, measure, width), limit, measure, fontSize: size };
+		};
+
+		let result = fit(Number(fontSize));
+
+		if (overflow === TITLE_OVERFLOW_SHRINK) {
+			for (let size = result.fontSize - 1; result.lines.length > result.limit && size >= TITLE_MIN_FONT_SIZE; size--) {
+				result = fit(size);
+			}
+		}
+
+		const { lines, limit, measure } = result;
+		if (lines.length <= limit) return { lines, fontSize: result.fontSize };
+
+		return { lines: lines.slice(0, limit - 1).concat(this.#ellipsize(lines.slice(limit - 1).join(' '), measure, width)), fontSize: result.fontSize };
+	}
+
+	/**
+	 * Fills a template, lays it out for the key and sets it as the title. The title is laid out again when its parameters change
+	 * @param {Context|string} context - the Context or its id
+	 * @param {string} template
+	 * @param {*} values
+	 * @param {*} options - overflow, maxLines, target, and background (a color or image) behind a shrunk title
+	 * @returns {Promise<string[]>} the lines shown
+	 */
+	static async setTitle(context, template, values = {}, options = {}) {
+		this.#initialize();
+
+		const instance = typeof context === 'string' ? ContextRegistry.get(context) : context;
+		const id = instance?.context ?? context;
+		const title = this.#titles.get(id) ?? { rendered: false };
+
+		Object.assign(title, { template, values, options });
+		this.#titles.set(id, title);
+
+		return this.#show(id, instance?.titleParameters ?? {}, title);
+	}
+
+	/**
+	 * Stops laying out the title of a key again, leaving it as it is
+	 * @param {Context|string} context - the Context or its id
+	 */
+	static forget(context) {
+		this.#titles.delete(typeof context === 'string' ? context : context?.context);
+	}
+
+	static #initialize() {
+		if (this.#initialized) return;
+
+		this.#initialized = true;
+		ContextRegistry.onRemoved(({ context }) => this.#titles.delete(context));
+		EventEmitter.on(`*.${TITLE_PARAMETERS_DID_CHANGE}`, (jsn, context) => {
+			const title = context && this.#titles.get(context.context);
+			if (title) this.#show(context.context, context.titleParameters ?? {}, title);
+		});
+	}
+
+	static async #show(id, parameters, title) {
+		const { template, values, options } = title;
+		const { lines, fontSize } = this.layout(this.fill(template, values), parameters, options);
+		const settings = Object.assign({}, this.defaults, parameters);
+
+		// Only the latest title of a key is shown, an older one may still be rendering
+		title.shown = lines;
+
+		if (fontSize === Number(settings.fontSize) || !settings.showTitle) {
+			if (title.rendered) StreamDeck.setImage(id, '', options.target);
+			title.rendered = false;
+			StreamDeck.setTitle(id, lines.join('\n'), options.target);
+			return lines;
+		}
+
+		const renderer = new KeyRenderer();
+		if (options.background) renderer.background(options.background);
+
+		const image = await renderer
+			.text(lines.join('\n'), {
+				font: settings.fontFamily,
+				size: fontSize,
+				weight: this.#fontStyle(settings.fontStyle),
+				color: settings.titleColor,
+				valign: settings.titleAlignment,
+				padding: TITLE_PADDING,
+			})
+			.render();
+
+		if (title.shown !== lines) return lines;
+
+		title.rendered = true;
+		StreamDeck.setTitle(id, '', options.target);
+		StreamDeck.setImage(id, image, options.target);
+		return lines;
+	}
+
+	static #wrap(text, measure, width) {
+		return text.split('\n').flatMap((paragraph) => {
+			const lines = [];
+			let line = '';
+
+			paragraph
+				.split(/\s+/)
+				.filter(Boolean)
+				.forEach((word) => {
+					const candidate = line ? `${line} ${word}` : word;
+					if (measure(candidate) <= width) {
+						line = candidate;
+						return;
+					}
+
+					if (line) lines.push(line);
+					line = word;
+
+					// Words wider than the key are broken where they overflow
+					while (measure(line) > width && line.length > 1) {
+						let end = line.length - 1;
+						while (end > 1 && measure(line.slice(0, end)) > width) end--;
+						lines.push(line.slice(0, end));
+						line = line.slice(end);
+					}
+				});
+
+			return lines.concat(line);
+		});
+	}
+
+	static #ellipsize(text, measure, width) {
+		if (measure(text) <= width) return text;
+
+		let end = text.length;
+		while (end > 0 && measure(`${text.slice(0, end).trimEnd()}…`) > width) end--;
+		return `${text.slice(0, end).trimEnd()}…`;
+	}
+
+	static #measure(parameters, size) {
+		const { fontFamily, fontStyle } = Object.assign({}, this.defaults, parameters);
+
+		if (this.#ctx === undefined) this.#ctx = this.#canvasContext();
+		const ctx = this.#ctx;
+
+		// Without a canvas, e.g. in tests, an average glyph is about 0.6 em wide
+		if (!ctx) return (text) => text.length * size * 0.6;
+
+		ctx.font = `${this.#fontStyle(fontStyle)} ${size}px ${fontFamily}`;
+		return (text) => ctx.measureText(text).width;
+	}
+
+	static #canvasContext() {
+		// Pages without canvas support (jsdom) return null or throw, they are only asked once
+		try {
+			return typeof document === 'undefined' ? null : document.createElement('canvas').getContext('2d') ?? null;
+		} catch {
+			return null;
+		}
+	}
+
+	static #fontStyle(style = '') {
+		const bold = /bold/i.test(style);
+		const italic = /italic/i.test(style);
+		return `${italic ? 'italic ' : ''}${bold ? 'bold' : 'normal'}`;
+	}
+}
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.fields';
+
+describe('Action', () => {
+	let host;
+	let plugin;
+	let errors;
+	let context;
+
+	before(async () => {
+		({ host, plugin, errors } = await startPlugin());
+		plugin.eval(`
+			window.calls = [];
+			class FieldAction extends Action {
+				static UUID = '${ACTION}';
+
+				onKeyUp = (jsn, context) => calls.push(['keyUp', context.context, this instanceof FieldAction]);
+
+				onKeyDown(jsn, context) {
+					calls.push(['keyDown', context.context]);
+				}
+			}
+			Action.register(FieldAction);
+		`);
+		context = host.addKey({ action: ACTION });
+		await wait(50);
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('binds overridden onX methods and onX class fields of subclasses to their events', async () => {
+		await host.press(context, 10);
+		await wait(50);
+
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(plugin.eval('calls'))), [
+			['keyDown', context],
+			['keyUp', context, true],
+		]);
+	});
+});
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.action1';
+
+describe('ContextRegistry', () => {
+	let host;
+	let plugin;
+	let errors;
+
+	before(async () => {
+		({ host, plugin, errors } = await startPlugin());
+		plugin.eval(`SettingsSchema.register('${ACTION}', { version: 1, fields: { count: { type: 'number', default: 3 } } })`);
+		plugin.eval(`window.received = []; EventEmitter.on('${ACTION}.*', (jsn, context) => received.push({ event: jsn.event, payload: jsn.payload, settings: context?.settings }))`);
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('creates a Context on willAppear and removes it on willDisappear', async () => {
+		const context = host.addKey({ action: ACTION });
+		await wait(50);
+		assert.strictEqual(plugin.eval(`ContextRegistry.get('${context}')?.context`), context);
+
+		host.removeKey(context);
+		await wait(50);
+		assert.strictEqual(plugin.eval(`ContextRegistry.get('${context}')`), undefined);
+	});
+
+	it('does not keep Contexts of events after willDisappear', async () => {
+		const context = host.addKey({ action: ACTION });
+		await wait(50);
+		const key = host.keys.get(context);
+		host.removeKey(context);
+
+		host.plugin.socket.send(JSON.stringify({ action: ACTION, event: 'propertyInspectorDidDisappear', context, device: key.device }));
+		await wait(50);
+
+		assert.strictEqual(plugin.eval(`ContextRegistry.get('${context}')`), undefined);
+		assert.strictEqual(plugin.eval(`ContextRegistry.all('${ACTION}').length`), 0);
+	});
+
+	it('passes the settings other events carry as sent, the Context keeps the normalized ones', async () => {
+		const context = host.addKey({ action: ACTION, settings: {} });
+		await wait(50);
+		plugin.eval('received.length = 0');
+
+		host.keyDown(context);
+		await wait(50);
+
+		const [keyDown] = plugin.eval('received');
+		assert.strictEqual(keyDown.event, 'keyDown');
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(keyDown.payload.settings)), {});
+		assert.strictEqual(keyDown.settings.count, 3);
+		host.keyUp(context);
+	});
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION1 = 'com.elgato.template.action1';
+const ACTION2 = 'com.elgato.template.action2';
+
+describe('DeviceRegistry', () => {
+	let host;
+	let plugin;
+	let errors;
+	let device;
+	let keys;
+
+	// A 2x2 block in the top left corner, and one key further away
+	before(async () => {
+		({ host, plugin, errors } = await startPlugin([], {
+			setup: (host) => {
+				device = host.addDevice({ name: 'Desk', columns: 5, rows: 3 });
+				keys = {
+					topLeft: host.addKey({ action: ACTION1, device, column: 0, row: 0 }),
+					topRight: host.addKey({ action: ACTION2, device, column: 1, row: 0 }),
+					bottomLeft: host.addKey({ action: ACTION1, device, column: 0, row: 1 }),
+					bottomRight: host.addKey({ action: ACTION2, device, column: 1, row: 1 }),
+					away: host.addKey({ action: ACTION1, device, column: 4, row: 2 }),
+				};
+			},
+		}));
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	const contexts = (expression) => JSON.parse(JSON.stringify(plugin.eval(expression)));
+
+	it('knows the devices of appInfo and the ones connecting later', async () => {
+		assert.deepStrictEqual(contexts(`DeviceRegistry.get('${device}')`), { id: device, name: 'Desk', type: 0, columns: 5, rows: 3 });
+
+		const added = host.addDevice({ name: 'Travel', columns: 3, rows: 2 });
+		await wait(50);
+		assert.strictEqual(plugin.eval(`DeviceRegistry.get('${added}').columns`), 3);
+
+		host.removeDevice(added);
+		await wait(50);
+		assert.strictEqual(plugin.eval(`DeviceRegistry.get('${added}')`), undefined);
+	});
+
+	it('finds the key at a position', () => {
+		assert.strictEqual(plugin.eval(`DeviceRegistry.at('${device}', 1, 1)?.context`), keys.bottomRight);
+		assert.strictEqual(plugin.eval(`DeviceRegistry.at('${device}', 2, 1)`), undefined);
+	});
+
+	it('returns the neighbors of a key, with diagonals on request', () => {
+		const neighbors = (options) => contexts(`Object.fromEntries(Object.entries(DeviceRegistry.neighbors('${keys.topLeft}', ${options})).map(([direction, context]) => [direction, context.context]))`);
+
+		assert.deepStrictEqual(neighbors('{}'), { right: keys.topRight, down: keys.bottomLeft });
+		assert.deepStrictEqual(neighbors('{ diagonal: true }'), { right: keys.topRight, down: keys.bottomLeft, downRight: keys.bottomRight });
+		assert.deepStrictEqual(contexts(`DeviceRegistry.neighbors('${keys.away}')`), {});
+	});
+
+	it('finds the keys of an action on a device, by row and column', () => {
+		assert.deepStrictEqual(contexts(`DeviceRegistry.find('${ACTION1}', '${device}').map(({ context }) => context)`), [keys.topLeft, keys.bottomLeft, keys.away]);
+		assert.strictEqual(plugin.eval(`DeviceRegistry.find(null, '${device}').length`), 5);
+	});
+
+	it('forgets the keys that disappeared', async () => {
+		host.removeKey(keys.topRight);
+		await wait(50);
+
+		assert.strictEqual(plugin.eval(`DeviceRegistry.at('${device}', 1, 0)`), undefined);
+		assert.deepStrictEqual(contexts(`Object.keys(DeviceRegistry.neighbors('${keys.topLeft}'))`), ['down']);
+	});
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+describe('EventEmitter', () => {
+	let window;
+	let emitter;
+	let calls;
+
+	before(() => {
+		window = loadScripts(['constants.js', 'logger.js', 'event-emitter.js', 'stream-deck.js']);
+	});
+
+	beforeEach(() => {
+		emitter = new window.EventEmitter();
+		calls = [];
+	});
+
+	// The forwarded error records would otherwise wait for the flush timer
+	after(() => window.Logger.flush());
+
+	const record = (label) => (...data) => calls.push([label, ...data]);
+
+	it('matches wildcards across dots', async () => {
+		emitter.on('*.keyDown', record('any keyDown'));
+		emitter.on('com.example.action.*', record('any event of the action'));
+		emitter.on('com.example.*.keyUp', record('keyUp of com.example'));
+
+		await emitter.emit('com.example.action.keyDown', 1);
+		await emitter.emit('com.other.action.keyUp', 2);
+
+		assert.deepStrictEqual(calls, [
+			['any keyDown', 1],
+			['any event of the action', 1],
+		]);
+		assert.strictEqual(emitter.has('com.example.action.willAppear'), true);
+		assert.strictEqual(emitter.has('com.other.action.willAppear'), false);
+	});
+
+	it('calls higher priorities first, then in registration order', async () => {
+		emitter.on('event', record('first'));
+		emitter.on('event', record('low'), { priority: -1 });
+		emitter.on('*', record('pattern'), { priority: 10 });
+		emitter.on('event', record('second'));
+
+		await emitter.emit('event');
+		assert.deepStrictEqual(calls.map(([label]) => label), ['pattern', 'first', 'second', 'low']);
+	});
+
+	it('removes once handlers after their first call and resolves once without a handler', async () => {
+		emitter.once('event', record('once'));
+		const next = emitter.once('event');
+
+		await emitter.emit('event', 1);
+		await emitter.emit('event', 2);
+
+		assert.deepStrictEqual(calls, [['once', 1]]);
+		assert.deepStrictEqual(Array.from(await next), [1]);
+	});
+
+	it('removes handlers by unsubscribe function, name, handler and owner', async () => {
+		const owner = {};
+		const fn = record('fn');
+		const unsubscribe = emitter.on('a', record('unsubscribed'));
+		emitter.on('a', fn);
+		emitter.on('b', record('by name'));
+		emitter.on('c', record('owned'), { owner });
+		emitter.on('*', record('owned pattern'), { owner });
+
+		unsubscribe();
+		emitter.off('a', fn);
+		emitter.off('b');
+		emitter.off(owner);
+
+		assert.strictEqual(await emitter.emit('a'), false);
+		await emitter.emit('b');
+		await emitter.emit('c');
+		assert.deepStrictEqual(calls, []);
+	});
+
+	it('keeps calling handlers after one throws, logs the error and awaits async handlers', async () => {
+		emitter.on('event', () => {
+			throw new window.Error('sync');
+		});
+		emitter.on('event', async () => {
+			throw new window.Error('async');
+		});
+		emitter.on('event', () => new Promise((resolve) => setTimeout(() => resolve(calls.push(['slow'])), 20)));
+
+		assert.strictEqual(await emitter.emit('event'), true);
+		assert.deepStrictEqual(calls, [['slow']]);
+
+		const failures = Array.from(window.Logger.dump({ channel: 'events' }), ({ message, data }) => [message, data.error.message]);
+		assert.deepStrictEqual(failures.slice(-2), [
+			['Handler for event failed', 'sync'],
+			['Handler for event failed', 'async'],
+		]);
+	});
+
+	it('keeps instances apart from each other and from the global emitter', async () => {
+		const other = new window.EventEmitter();
+		other.on('event', record('other'));
+		window.EventEmitter.on('event', record('global'));
+
+		await emitter.emit('event');
+		assert.deepStrictEqual(calls, []);
+
+		await window.EventEmitter.emit('event');
+		assert.deepStrictEqual(calls, [['global']]);
+	});
+});
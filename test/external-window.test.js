@@ -0,0 +1,33 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.action1';
+const INSPECTOR = 'actions/template/property-inspector/inspector.html';
+
+describe('ExternalWindow', () => {
+	let host;
+	let errors;
+	let context;
+	let inspector;
+
+	before(async () => {
+		({ host, errors, contexts: [context] } = await startPlugin([{ action: ACTION, settings: { name: 'Before', message: 'kept', _version: 1 } }]));
+		inspector = await host.openInspector(context, INSPECTOR);
+		await wait(100);
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('merges the settings an external window saves into the current settings', async () => {
+		const saved = host.waitFor('setSettings', { context: host.inspectors.get(context).uuid });
+		inspector.eval(`ExternalWindow.methods.setSettings({ name: 'External' })`);
+		await saved;
+
+		assert.deepStrictEqual(host.keys.get(context).settings, { name: 'External', message: 'kept', _version: 1 });
+		assert.strictEqual(inspector.document.querySelector('[name="name"]').value, 'External');
+	});
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { before, describe, it } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+const FORM = `<form>
+	<input name="name" value="Key">
+	<input name="count" type="number" value="3">
+	<input name="volume" type="range" value="40">
+	<input name="enabled" type="checkbox" checked>
+	<input name="days" type="checkbox" value="Mon" checked><input name="days" type="checkbox" value="Tue">
+	<input name="only" type="checkbox" value="Mon" data-group>
+	<input name="tags[]" type="checkbox" value="a" checked>
+	<input name="size" type="radio" value="s"><input name="size" type="radio" value="m" checked>
+	<select name="units" multiple><option value="s" selected>s</option><option value="min">min</option><option value="h" selected>h</option></select>
+	<input name="server.host" value="localhost">
+	<input name="server.port" type="number" value="8080">
+	<input name="list[0]" value="first">
+	<input name="flag" value="true" data-type="boolean">
+	<input name="color" type="color" value="#F7821B">
+	<button name="ignored" type="button">Ignored</button>
+</form>`;
+
+describe('FormUtils', () => {
+	let window;
+	let FormUtils;
+	let form;
+
+	before(() => {
+		window = loadScripts(['constants.js', 'form-utils.js', 'inspector-builder.js'], { html: `<!DOCTYPE html><html><body>${FORM}</body></html>` });
+		({ FormUtils } = window);
+		form = window.document.querySelector('form');
+	});
+
+	const plain = (value) => JSON.parse(JSON.stringify(value));
+	const value = { name: 'Key', count: 3, volume: 40, enabled: true, days: ['Mon'], only: [], tags: ['a'], size: 'm', units: ['s', 'h'], server: { host: 'localhost', port: 8080 }, list: ['first'], flag: true, color: '#f7821b' };
+
+	it('reads typed values into nested objects', () => {
+		assert.deepStrictEqual(plain(FormUtils.getFormValue(form)), value);
+	});
+
+	it('writes the values it read back unchanged', () => {
+		const changed = Object.assign({}, value, { name: 'Other', enabled: false, days: ['Tue'], only: ['Mon'], size: 's', units: ['min'], server: { host: 'example.com', port: 80 } });
+
+		FormUtils.setFormValue(changed, form);
+		assert.deepStrictEqual(plain(FormUtils.getFormValue(form)), changed);
+
+		FormUtils.setFormValue(value, form);
+		assert.deepStrictEqual(plain(FormUtils.getFormValue(form)), value);
+	});
+
+	it('keeps settings without a control', () => {
+		assert.deepStrictEqual(plain(FormUtils.getFormValue(form, { _version: 2, server: { secure: true } })), Object.assign({ _version: 2 }, value, { server: { secure: true, host: 'localhost', port: 8080 } }));
+	});
+
+	it('reads a checkbox field declared with one option as a group', () => {
+		const rendered = window.document.createElement('form');
+		window.InspectorBuilder.render([{ type: 'checkbox', name: 'days', label: 'Days', options: ['Mon'] }, { type: 'checkbox', name: 'enabled', label: 'Enabled' }], rendered);
+
+		assert.deepStrictEqual(plain(FormUtils.getFormValue(rendered)), { days: [], enabled: false });
+
+		FormUtils.setFormValue({ days: ['Mon'], enabled: true }, rendered);
+		assert.deepStrictEqual(plain(FormUtils.getFormValue(rendered)), { days: ['Mon'], enabled: true });
+	});
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { generateAction, renamePlugin } = require('../tools/generate');
+const { validate } = require('../tools/validate');
+const { MockStreamDeck } = require('../tools/mock-host/mock-host');
+const { copyPlugin } = require('./helpers');
+
+const UUID = 'com.chektek.template.volume-meter';
+
+const read = (pluginDir, file) => fs.readFileSync(path.join(pluginDir, file), 'utf8');
+
+describe('generateAction', () => {
+	it('adds a valid action with its files, manifest entry, layout, translations and registration', () => {
+		const pluginDir = copyPlugin();
+		const files = generateAction({ pluginDir, name: 'Volume Meter', states: 2 });
+
+		assert.ok(['actions/volumeMeter.js', 'actions/volume-meter/assets/state1@2x.png', 'manifest.json', 'app.html', 'app.js'].every((file) => files.includes(file)));
+		assert.ok(files.every((file) => fs.existsSync(path.join(pluginDir, file))));
+
+		const action = JSON.parse(read(pluginDir, 'manifest.json')).Actions.find(({ UUID: uuid }) => uuid === UUID);
+		assert.deepStrictEqual(action.States, [{ Image: 'actions/volume-meter/assets/state0' }, { Image: 'actions/volume-meter/assets/state1' }]);
+		assert.strictEqual(action.PropertyInspectorPath, 'actions/template/property-inspector/inspector.html');
+
+		assert.match(read(pluginDir, 'actions/volumeMeter.js'), /class VolumeMeter extends Action \{\n {4}static UUID = 'com\.chektek\.template\.volume-meter';/);
+		assert.match(read(pluginDir, 'app.js'), /Action\.register\([^)]*, VolumeMeter\)/);
+		assert.match(read(pluginDir, 'app.html'), /<script src="actions\/volumeMeter\.js"><\/script>\n\s*<script src="app\.js"><\/script>/);
+		assert.deepStrictEqual(JSON.parse(read(pluginDir, 'actions/template/property-inspector/layouts.json'))[UUID], [{ type: 'text', name: 'name', label: 'Name' }]);
+		assert.deepStrictEqual(JSON.parse(read(pluginDir, 'de.json'))[UUID], { Name: 'Volume Meter', Tooltip: 'Volume Meter' });
+
+		assert.deepStrictEqual(validate(pluginDir).errors, []);
+	});
+
+	it('generates an action the plugin runs', async () => {
+		const pluginDir = copyPlugin();
+		generateAction({ pluginDir, name: 'Volume Meter' });
+
+		const host = new MockStreamDeck({ pluginDir });
+		const errors = [];
+		host.on('console', ({ level, args }) => level === 'error' && !/^Not implemented/.test(args[0]?.message ?? '') && errors.push(args));
+
+		try {
+			await host.start();
+			const context = host.addKey({ action: UUID, settings: { name: 'Meter' } });
+			await host.loadPlugin();
+			await host.waitFor('setTitle', { context, predicate: ({ payload }) => payload.title === 'Meter' });
+		} finally {
+			await host.stop();
+		}
+
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('refuses invalid names, UUIDs and state counts and existing actions', () => {
+		const pluginDir = copyPlugin();
+
+		assert.throws(() => generateAction({ pluginDir, name: '' }), /--name is required/);
+		assert.throws(() => generateAction({ pluginDir, name: 'Meter', uuid: 'Meter' }), /is not a valid UUID/);
+		assert.throws(() => generateAction({ pluginDir, name: 'Meter', states: 3 }), /--states must be 1 or 2/);
+		assert.throws(() => generateAction({ pluginDir, name: 'Meter', uuid: 'com.elgato.template.action1' }), /already has an action/);
+	});
+});
+
+describe('renamePlugin', () => {
+	it('refuses invalid ids and leaves the plugin alone when the id does not change', () => {
+		const pluginDir = copyPlugin();
+
+		assert.throws(() => renamePlugin({ pluginDir, uuid: 'Not An Id' }), /--uuid must be a lowercase reverse-DNS id/);
+		assert.deepStrictEqual(renamePlugin({ pluginDir, uuid: 'com.chektek.template' }), []);
+	});
+});
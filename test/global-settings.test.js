@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.action1';
+const INSPECTOR = 'actions/template/property-inspector/inspector.html';
+const META_KEY = '__globalSettingsMeta';
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe('GlobalSettings', () => {
+	let host;
+	let plugin;
+	let errors;
+	let inspector;
+	let context;
+
+	before(async () => {
+		({ host, plugin, errors, contexts: [context] } = await startPlugin([{ action: ACTION }], {
+			setup: (host) => (host.globalSettings = { account: { name: 'chektek' } }),
+		}));
+		inspector = await host.openInspector(context, INSPECTOR);
+		await wait(100);
+
+		[plugin, inspector].forEach((page) => page.eval(`GlobalSettings.delay = 20; window.changes = []; GlobalSettings.onChange((list) => changes.push(...list))`));
+		await plugin.eval('GlobalSettings.load()');
+		await inspector.eval('GlobalSettings.load()');
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('loads the stored settings', () => {
+		assert.deepStrictEqual(plain(plugin.eval('GlobalSettings.get()')), { account: { name: 'chektek' } });
+		assert.strictEqual(inspector.eval(`GlobalSettings.get('account.name')`), 'chektek');
+	});
+
+	it('merges changes the plugin and the inspector make at the same time', async () => {
+		plugin.eval(`GlobalSettings.set('account.token', 'secret')`);
+		inspector.eval(`GlobalSettings.patch({ account: { name: 'renamed' }, theme: 'dark' })`);
+		await wait(200);
+
+		const expected = { account: { name: 'renamed', token: 'secret' }, theme: 'dark' };
+		assert.deepStrictEqual(plain(plugin.eval('GlobalSettings.get()')), expected);
+		assert.deepStrictEqual(plain(inspector.eval('GlobalSettings.get()')), expected);
+
+		const { [META_KEY]: meta, ...stored } = host.globalSettings;
+		assert.deepStrictEqual(stored, expected);
+		assert.deepStrictEqual(Object.keys(meta.modified).sort(), ['account.name', 'account.token', 'theme']);
+	});
+
+	it('reports every changed setting with its old and new value, and whether the other side changed it', () => {
+		// oldValue is left out of the plain copies when it was undefined
+		const changes = (page) => plain(page.eval('changes')).filter(({ path }) => path === 'theme' || path === 'account.token');
+
+		assert.deepStrictEqual(changes(plugin), [
+			{ path: 'account.token', newValue: 'secret', remote: false },
+			{ path: 'theme', newValue: 'dark', remote: true },
+		]);
+		assert.deepStrictEqual(changes(inspector), [
+			{ path: 'theme', newValue: 'dark', remote: false },
+			{ path: 'account.token', newValue: 'secret', remote: true },
+		]);
+	});
+
+	it('calls path handlers for the setting and the settings below it, and removes settings set to undefined', async () => {
+		plugin.eval(`window.accountChanges = []; GlobalSettings.on('account', ({ path, newValue }) => accountChanges.push([path, newValue ?? null]))`);
+
+		inspector.eval(`GlobalSettings.set('account.token', undefined)`);
+		await wait(200);
+
+		assert.deepStrictEqual(plain(plugin.eval('accountChanges')), [['account.token', null]]);
+		assert.deepStrictEqual(plain(plugin.eval(`GlobalSettings.get('account')`)), { name: 'renamed' });
+	});
+
+	it('keeps the metadata out of the didReceiveGlobalSettings StreamDeck passes on', async () => {
+		plugin.eval(`window.received = []; EventEmitter.on('didReceiveGlobalSettings', (jsn) => received.push(jsn.payload.settings))`);
+		await plugin.eval('StreamDeck.fetchGlobalSettings()');
+
+		const [settings] = plain(plugin.eval('received'));
+		assert.deepStrictEqual(settings, { account: { name: 'renamed' }, theme: 'dark' });
+	});
+});
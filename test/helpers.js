@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { MockStreamDeck } = require('../tools/mock-host/mock-host');
+const { findPluginDir } = require('../tools/lib/plugin');
+
+/**
+ * Helpers shared by the tests: loading library scripts into an empty page, and running the plugin on the mock Stream Deck.
+ */
+
+const PLUGIN_DIR = findPluginDir();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Loads scripts of libs/js into an empty jsdom page, in the given order
+ * @param {string[]} files - e.g. ['constants.js', 'event-emitter.js']
+ * @param {*} options - html and url of the page, a file: url lets XMLHttpRequest read files next to it
+ * @returns {*} the window, with the classes the scripts declare as properties and the console output in logs
+ */
+const loadScripts = (files, { html = '<!DOCTYPE html><html><head></head><body></body></html>', url = 'http://localhost/' } = {}) => {
+	const logs = [];
+	const virtualConsole = new VirtualConsole();
+	['log', 'info', 'warn', 'error', 'debug'].forEach((level) => virtualConsole.on(level, (...args) => logs.push({ level, args })));
+
+	const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true, url, virtualConsole });
+	const source = files.map((file) => fs.readFileSync(path.join(PLUGIN_DIR, 'libs', 'js', file), 'utf8')).join('\n;\n');
+	const classes = Array.from(source.matchAll(/^class (\w+)/gm), ([, name]) => name);
+
+	dom.window.eval(`${source}\n;Object.assign(window, { ${classes.join(', ')} });`);
+	return Object.assign(dom.window, { logs });
+};
+
+/**
+ * Starts a mock Stream Deck, places keys and loads the plugin
+ * @param {*[]} keys - options of MockStreamDeck.addKey
+ * @param {*} options - setup(host) runs before the plugin loads
+ * @returns {Promise<*>} host, plugin (the jsdom window), contexts of the keys and errors logged by the pages
+ */
+const startPlugin = async (keys = [], { setup } = {}) => {
+	const host = new MockStreamDeck({ pluginDir: PLUGIN_DIR });
+	const errors = [];
+
+	// jsdom has no canvas, key images and title measuring fall back without it
+	host.on('console', ({ role, level, args }) => level === 'error' && !/^Not implemented/.test(args[0]?.message ?? '') && errors.push({ role, args }));
+
+	await host.start();
+	const contexts = keys.map((key) => host.addKey(key));
+	await setup?.(host);
+	const plugin = await host.loadPlugin();
+	await wait(50);
+
+	return { host, plugin, contexts, errors };
+};
+
+/**
+ * Copies the plugin folder into a temporary repository layout, for tests that change files
+ * @returns {string} the copied *.sdPlugin folder, removed when the process exits
+ */
+const copyPlugin = () => {
+	const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sdplugin-'));
+	const pluginDir = path.join(root, 'src', path.basename(PLUGIN_DIR));
+
+	fs.cpSync(PLUGIN_DIR, pluginDir, { recursive: true });
+	process.once('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+	return pluginDir;
+};
+
+module.exports = { PLUGIN_DIR, wait, loadScripts, startPlugin, copyPlugin };
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.action2';
+const INSPECTOR = 'actions/template/property-inspector/inspector.html';
+
+describe('InspectorBuilder', () => {
+	let host;
+	let plugin;
+	let errors;
+	let context;
+	let inspector;
+
+	before(async () => {
+		({ host, plugin, errors, contexts: [context] } = await startPlugin([{ action: ACTION, settings: { name: 'Before', hidden: 'kept', _version: 1 } }]));
+		inspector = await host.openInspector(context, INSPECTOR);
+		await wait(100);
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('renders the layout of the action with its settings and the field defaults', () => {
+		const form = inspector.document.querySelector('#property-inspector');
+
+		assert.strictEqual(form.querySelector('.sdpi-heading').textContent, 'Controls');
+		assert.strictEqual(form.querySelector('[name="name"]').value, 'Before');
+		assert.strictEqual(form.querySelector('[name="count"]').value, '1');
+		assert.strictEqual(form.querySelector('[name="server.port"]').value, '8080');
+	});
+
+	it('saves the form values into the current settings, keeping settings without a control', async () => {
+		const input = inspector.document.querySelector('[name="name"]');
+		const saved = host.waitFor('setSettings', { context: host.inspectors.get(context).uuid });
+
+		input.value = 'Typed';
+		input.dispatchEvent(new inspector.Event('input', { bubbles: true }));
+		await saved;
+
+		const { settings } = host.keys.get(context);
+		assert.strictEqual(settings.name, 'Typed');
+		assert.strictEqual(settings.hidden, 'kept');
+		assert.strictEqual(settings._version, 1);
+		assert.strictEqual(settings.server.port, 8080);
+	});
+
+	it('merges later edits into the settings the plugin saved in between', async () => {
+		const settings = Object.assign({}, host.keys.get(context).settings, { hidden: 'changed' });
+		plugin.eval(`StreamDeck.setSettings(${JSON.stringify(settings)}, '${context}')`);
+		await wait(50);
+
+		const input = inspector.document.querySelector('[name="name"]');
+		const saved = host.waitFor('setSettings', { predicate: ({ payload }) => payload.name === 'Again' });
+
+		input.value = 'Again';
+		input.dispatchEvent(new inspector.Event('input', { bubbles: true }));
+		await saved;
+
+		assert.strictEqual(host.keys.get(context).settings.hidden, 'changed');
+	});
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { before, describe, it } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+const FILES = {
+	'en.json': { Localization: { Hello: 'Hello', Bye: 'Bye', Taps: { '=0': 'No taps', one: '{count} tap', other: '{count} taps' } } },
+	'de.json': { Localization: { Hello: 'Hallo', Taps: { one: '{count} Tipp', other: '{count} Tipps' } } },
+	'de_AT.json': { Localization: { Hello: 'Servus' } },
+};
+
+describe('Localization', () => {
+	let window;
+
+	before(() => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localization-'));
+		Object.entries(FILES).forEach(([file, json]) => fs.writeFileSync(path.join(dir, file), JSON.stringify(json)));
+		fs.writeFileSync(path.join(dir, 'malformed.json'), '{ "Localization": ');
+		process.once('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+		window = loadScripts(['constants.js', 'event-emitter.js', 'logger.js', 'stream-deck.js', 'localization.js'], { url: pathToFileURL(path.join(dir, 'index.html')).href });
+	});
+
+	it('falls back from the locale to its base language and to en', async () => {
+		const { Localization } = window;
+		assert.deepStrictEqual(Array.from(Localization.chain('de-AT')), ['de_AT', 'de', 'en']);
+
+		await Localization.load('', 'de_AT');
+		assert.strictEqual(Localization.language, 'de_AT');
+		assert.strictEqual(Localization.t('Hello'), 'Servus');
+		assert.strictEqual(Localization.t('Bye'), 'Bye');
+		assert.strictEqual(Localization.t('Missing'), 'Missing');
+	});
+
+	it('skips missing language files', async () => {
+		const { Localization } = window;
+
+		await Localization.load('', 'fr');
+		assert.strictEqual(Localization.t('Hello'), 'Hello');
+	});
+
+	it('chooses plural forms by exact count and plural category', async () => {
+		const { Localization } = window;
+
+		await Localization.load('', 'en');
+		assert.strictEqual(Localization.t('Taps', { count: 0 }), 'No taps');
+		assert.strictEqual(Localization.t('Taps', { count: 1 }), '1 tap');
+		assert.strictEqual(Localization.t('Taps', { count: 3 }), '3 taps');
+
+		await Localization.load('', 'de');
+		assert.strictEqual(Localization.t('Taps', { count: 0 }), '0 Tipps');
+		assert.strictEqual(Localization.t('Taps', { count: 1 }), '1 Tipp');
+	});
+
+	it('translates the text and attributes of localizable elements', async () => {
+		const { Localization, document } = window;
+		await Localization.load('', 'de');
+
+		document.body.innerHTML = '<p data-localize>Hello</p><input data-localize data-localize-attr="placeholder" placeholder="Bye">';
+		Localization.translate();
+
+		assert.strictEqual(document.querySelector('p').textContent, 'Hallo');
+		assert.strictEqual(document.querySelector('input').placeholder, 'Bye');
+	});
+
+	it('rejects malformed JSON files', async () => {
+		await assert.rejects(window.StreamDeck.readJson('malformed.json'), (error) => error.name === 'SyntaxError');
+		await assert.rejects(window.StreamDeck.readJson('missing.json'));
+	});
+});
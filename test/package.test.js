@@ -0,0 +1,79 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { describe, it } = require('node:test');
+const { packagePlugin } = require('../tools/package');
+const { crc32 } = require('../tools/lib/zip');
+const { copyPlugin } = require('./helpers');
+
+/**
+ * Reads the entries of a zip archive from their local headers
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} the data of each entry by name
+ */
+const readZip = (buffer) => {
+	const entries = new Map();
+
+	for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034b50; ) {
+		const method = buffer.readUInt16LE(offset + 8);
+		const crc = buffer.readUInt32LE(offset + 14);
+		const size = buffer.readUInt32LE(offset + 18);
+		const nameLength = buffer.readUInt16LE(offset + 26);
+		const start = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+		const body = buffer.subarray(start, start + size);
+		const data = method === 8 ? zlib.inflateRawSync(body) : body;
+
+		assert.strictEqual(crc32(data), crc);
+		entries.set(buffer.toString('utf8', offset + 30, offset + 30 + nameLength), data);
+		offset = start + size;
+	}
+
+	return entries;
+};
+
+const tempDir = (prefix) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+	process.once('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+	return dir;
+};
+
+describe('packagePlugin', () => {
+	it('zips the plugin folder with the version stamped into manifest.json and without dev files', () => {
+		const pluginDir = copyPlugin();
+		const folder = path.basename(pluginDir);
+		fs.writeFileSync(path.join(pluginDir, 'actions', 'source.sketch'), 'design');
+		fs.writeFileSync(path.join(pluginDir, '.DS_Store'), '');
+
+		const outDir = tempDir('release-');
+		const { archive, installed, files } = packagePlugin({ pluginDir, outDir, version: '1.2.3' });
+
+		assert.strictEqual(archive, path.join(outDir, 'com.chektek.template.streamDeckPlugin'));
+		assert.strictEqual(installed, null);
+
+		const entries = readZip(fs.readFileSync(archive));
+		const names = Array.from(entries.keys());
+		assert.strictEqual(names.length, files);
+		assert.ok(names.every((name) => name.startsWith(`${folder}/`)));
+		assert.ok(names.includes(`${folder}/app.html`));
+		assert.ok(!names.some((name) => /\.sketch$|\.DS_Store$/.test(name)));
+
+		assert.strictEqual(JSON.parse(entries.get(`${folder}/manifest.json`).toString('utf8')).Version, '1.2.3');
+		assert.deepStrictEqual(entries.get(`${folder}/app.js`), fs.readFileSync(path.join(pluginDir, 'app.js')));
+	});
+
+	it('installs the packaged files into the plugins folder', () => {
+		const pluginDir = copyPlugin();
+		const installDir = tempDir('plugins-');
+		const { installed } = packagePlugin({ pluginDir, outDir: tempDir('release-'), version: '2.0', installDir });
+
+		assert.strictEqual(installed, path.join(installDir, path.basename(pluginDir)));
+		assert.strictEqual(JSON.parse(fs.readFileSync(path.join(installed, 'manifest.json'), 'utf8')).Version, '2.0');
+		assert.ok(fs.existsSync(path.join(installed, 'app.html')));
+	});
+
+	it('rejects versions Stream Deck does not accept', () => {
+		assert.throws(() => packagePlugin({ pluginDir: copyPlugin(), outDir: tempDir('release-'), version: 'v1' }), /Version v1 does not match/);
+	});
+});
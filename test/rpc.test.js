@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.action1';
+const INSPECTOR = 'actions/template/property-inspector/inspector.html';
+
+describe('Rpc', () => {
+	let host;
+	let plugin;
+	let errors;
+	let context;
+	let inspector;
+
+	before(async () => {
+		({ host, plugin, errors, contexts: [context] } = await startPlugin([{ action: ACTION }]));
+		plugin.eval(`Rpc.for('${ACTION}')
+			.handle('add', ([a, b], context) => ({ sum: a + b, context }))
+			.handle('fail', () => { throw Object.assign(new Error('No connection'), { code: 'OFFLINE' }); })
+			.handle('hang', () => new Promise(() => {}))`);
+		inspector = await host.openInspector(context, INSPECTOR);
+		await wait(100);
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('answers calls of the property inspector with the result of the plugin handler', async () => {
+		const result = await inspector.eval(`Rpc.for().call('add', [1, 2])`);
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(result)), { sum: 3, context });
+	});
+
+	it('rejects with the message and code of the error the handler threw', async () => {
+		await assert.rejects(inspector.eval(`Rpc.for().call('fail')`), (error) => error.message === 'No connection' && error.code === 'OFFLINE');
+	});
+
+	it('rejects calls of methods without a handler', async () => {
+		await assert.rejects(inspector.eval(`Rpc.for().call('missing')`), (error) => error.message === 'Unknown method missing' && error.code === 'METHOD_NOT_FOUND');
+	});
+
+	it('rejects calls that are not answered in time', async () => {
+		await assert.rejects(inspector.eval(`Rpc.for().call('hang', null, { timeout: 50 })`), (error) => error.code === 'TIMEOUT');
+	});
+
+	it('answers methods every action shares', async () => {
+		plugin.eval(`Rpc.handle('ping', () => 'pong')`);
+		assert.strictEqual(await inspector.eval(`Rpc.for().call('ping')`), 'pong');
+	});
+
+	it('calls the property inspector and pushes notifications to it from the plugin', async () => {
+		inspector.eval(`window.notified = []; Rpc.for().handle('title', () => document.title).on('status', (params) => notified.push(params))`);
+
+		assert.strictEqual(await plugin.eval(`Rpc.for('${ACTION}').call('title', null, { context: '${context}' })`), inspector.document.title);
+
+		plugin.eval(`Rpc.for('${ACTION}').notify('status', { online: true }, '${context}')`);
+		await wait(50);
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(inspector.eval('notified'))), [{ online: true }]);
+	});
+});
@@ -0,0 +1,113 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { loadScripts, startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.action2';
+const INSPECTOR = 'actions/template/property-inspector/inspector.html';
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe('SettingsSchema', () => {
+	const { SettingsSchema } = loadScripts(['constants.js', 'settings-schema.js']);
+	const schema = new SettingsSchema({
+		version: 3,
+		fields: {
+			name: { type: 'string', default: '', maxLength: 5 },
+			count: { type: 'number', default: 1, min: 0, max: 10, integer: true },
+			mode: { type: 'string', default: 'clock', enum: ['clock', 'timer'] },
+		},
+		migrations: {
+			2: (settings) => Object.assign({}, settings, { name: settings.title }),
+			3: (settings) => Object.assign({}, settings, { count: settings.count * 2 }),
+		},
+	});
+
+	describe('normalize', () => {
+		it('runs the migrations from the saved version', () => {
+			const { settings, errors, migrated } = schema.normalize({ _version: 1, title: 'Old', count: 2 });
+
+			assert.deepStrictEqual(plain(settings), { _version: 3, title: 'Old', name: 'Old', count: 4, mode: 'clock' });
+			assert.deepStrictEqual(plain(errors), []);
+			assert.strictEqual(migrated, true);
+		});
+
+		it('treats settings without a version as version 0 and empty settings as the current version', () => {
+			assert.strictEqual(schema.normalize({ title: 'Old' }).migrated, true);
+			assert.deepStrictEqual(plain(schema.normalize({})), { settings: { _version: 3, name: '', count: 1, mode: 'clock' }, errors: [], migrated: false });
+		});
+
+		it('uses the given version for settings without one', () => {
+			const { settings, migrated } = schema.normalize({ name: 'Typed', count: 2 }, 3);
+
+			assert.strictEqual(migrated, false);
+			assert.deepStrictEqual(plain(settings), { _version: 3, name: 'Typed', count: 2, mode: 'clock' });
+		});
+
+		it('coerces, clamps and replaces invalid values and reports them', () => {
+			const { settings, errors } = schema.normalize({ _version: 3, name: 'Too long', count: '12', mode: 'alarm' });
+
+			assert.deepStrictEqual(plain(settings), { _version: 3, name: 'Too l', count: 10, mode: 'clock' });
+			assert.deepStrictEqual(plain(errors), ['name: is longer than 5 characters', 'count: 12 is above 10', 'mode: "alarm" is not one of clock, timer']);
+		});
+
+		it('keeps the last version reached when a migration fails', () => {
+			const failing = new SettingsSchema({
+				version: 2,
+				migrations: {
+					1: (settings) => Object.assign({}, settings, { step: 1 }),
+					2: () => {
+						throw new Error('broken');
+					},
+				},
+			});
+			const { settings, errors } = failing.normalize({ _version: 0 });
+
+			assert.deepStrictEqual(plain(settings), { _version: 1, step: 1 });
+			assert.deepStrictEqual(plain(errors), ['migration to version 2 failed: broken']);
+		});
+	});
+
+	describe('on the mock Stream Deck', () => {
+		let host;
+		let plugin;
+		let errors;
+		let context;
+
+		before(async () => {
+			({ host, plugin, errors } = await startPlugin());
+			plugin.eval(`SettingsSchema.register('${ACTION}', { version: 2, fields: { name: { type: 'string', default: '' } }, migrations: { 2: (settings) => Object.assign({}, settings, { name: 'MIGRATED' }) } })`);
+			context = host.addKey({ action: ACTION, settings: { name: 'Old', _version: 1 } });
+			await host.waitFor('setSettings', { context });
+		});
+
+		after(async () => {
+			await host.stop();
+			assert.deepStrictEqual(errors, []);
+		});
+
+		it('saves migrated settings back', () => {
+			assert.deepStrictEqual(host.keys.get(context).settings, { name: 'MIGRATED', _version: 2 });
+		});
+
+		it('does not migrate the settings the inspector saves again', async () => {
+			const inspector = await host.openInspector(context, INSPECTOR);
+			await wait(100);
+			const input = inspector.document.querySelector('[name="name"]');
+
+			input.value = 'Typed';
+			input.dispatchEvent(new inspector.Event('input', { bubbles: true }));
+			await host.waitFor('setSettings', { context: host.inspectors.get(context).uuid });
+			await wait(50);
+
+			assert.strictEqual(host.keys.get(context).settings.name, 'Typed');
+			assert.strictEqual(plugin.eval(`ContextRegistry.get('${context}').settings.name`), 'Typed');
+		});
+
+		it('keeps the version of a visible key for settings saved without one', async () => {
+			host.setSettings(context, { name: 'Unversioned' });
+			await wait(50);
+
+			assert.deepStrictEqual(plain(plugin.eval(`ContextRegistry.get('${context}').settings`)), { name: 'Unversioned', _version: 2 });
+		});
+	});
+});
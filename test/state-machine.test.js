@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.action1';
+const INSPECTOR = 'actions/template/property-inspector/inspector.html';
+
+describe('StateMachine', () => {
+	let host;
+	let plugin;
+	let errors;
+	let context;
+
+	before(async () => {
+		({ host, plugin, errors } = await startPlugin());
+		plugin.eval(`StateMachine.register('${ACTION}', {
+			states: [{ name: 'idle', state: 0 }, { name: 'running', state: 1 }, { name: 'failed', state: 0 }],
+			transitions: { idle: { start: 'running' }, running: { stop: 'idle', fail: 'failed' }, '*': { reset: 'idle' } },
+		})`);
+		context = host.addKey({ action: ACTION, settings: { name: 'Key' } });
+		await wait(50);
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	const stateName = () => plugin.eval(`ContextRegistry.get('${context}').stateName`);
+	const transition = (event) => plugin.eval(`StateMachine.transition('${context}', '${event}')`);
+
+	it('starts in the initial state', () => {
+		assert.strictEqual(stateName(), 'idle');
+	});
+
+	it('follows the transitions table and sends the state index', async () => {
+		assert.strictEqual(await transition('start'), true);
+		await wait(50);
+		assert.strictEqual(stateName(), 'running');
+		assert.strictEqual(host.sent('setState', context).at(-1).payload.state, 1);
+
+		assert.strictEqual(await transition('start'), false);
+		assert.strictEqual(stateName(), 'running');
+
+		await transition('fail');
+		await wait(50);
+		assert.strictEqual(stateName(), 'failed');
+		assert.strictEqual(host.sent('setState', context).at(-1).payload.state, 0);
+		assert.strictEqual(host.keys.get(context).settings._state, 'failed');
+	});
+
+	it('keeps the saved state when the inspector saves the settings', async () => {
+		const inspector = await host.openInspector(context, INSPECTOR);
+		await wait(100);
+		const input = inspector.document.querySelector('[name="name"]');
+
+		input.value = 'Typed';
+		input.dispatchEvent(new inspector.Event('input', { bubbles: true }));
+		await host.waitFor('setSettings', { context: host.inspectors.get(context).uuid });
+
+		assert.strictEqual(host.keys.get(context).settings._state, 'failed');
+		host.closeInspector(context);
+	});
+
+	it('restores a named state sharing its index with another when the key appears again', async () => {
+		const { settings } = host.keys.get(context);
+		host.removeKey(context);
+		await wait(50);
+
+		host.addKey({ action: ACTION, settings, state: 0, context });
+		await wait(50);
+
+		assert.strictEqual(stateName(), 'failed');
+		assert.strictEqual(await transition('reset'), true);
+		assert.strictEqual(stateName(), 'idle');
+	});
+});
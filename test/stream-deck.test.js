@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION = 'com.elgato.template.action1';
+const INSPECTOR = 'actions/template/property-inspector/inspector.html';
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe('StreamDeck fetch requests', () => {
+	let host;
+	let plugin;
+	let errors;
+	let context;
+
+	before(async () => {
+		({ host, plugin, errors, contexts: [context] } = await startPlugin([{ action: ACTION, settings: { name: 'Key' } }]));
+		host.globalSettings = { theme: 'dark' };
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('resolves with the settings of the matching didReceiveSettings', async () => {
+		const settings = await plugin.eval(`StreamDeck.fetchSettings('${context}')`);
+		assert.strictEqual(settings.name, 'Key');
+	});
+
+	it('shares one request between concurrent fetches', async () => {
+		const count = host.sent('getSettings', context).length;
+		const [first, second] = await plugin.eval(`Promise.all([StreamDeck.fetchSettings('${context}'), StreamDeck.fetchSettings('${context}')])`);
+
+		assert.strictEqual(host.sent('getSettings', context).length, count + 1);
+		assert.deepStrictEqual(plain(first), plain(second));
+	});
+
+	it('rejects when no answer arrives in time and sends a new request afterwards', async () => {
+		await assert.rejects(plugin.eval(`StreamDeck.fetchSettings('unknown', 50)`), /Timed out after 50ms/);
+		const count = host.sent('getSettings', 'unknown').length;
+
+		await assert.rejects(plugin.eval(`StreamDeck.fetchSettings('unknown', 50)`));
+		assert.strictEqual(host.sent('getSettings', 'unknown').length, count + 1);
+	});
+
+	it('fetches the global settings', async () => {
+		const settings = await plugin.eval('StreamDeck.fetchGlobalSettings()');
+		assert.strictEqual(settings.theme, 'dark');
+	});
+
+	it('fetches the settings of its action in the property inspector', async () => {
+		const inspector = await host.openInspector(context, INSPECTOR);
+		await wait(100);
+
+		const settings = await inspector.eval('StreamDeck.fetchSettings()');
+		assert.strictEqual(settings.name, 'Key');
+		host.closeInspector(context);
+	});
+});
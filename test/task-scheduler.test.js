@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { startPlugin, wait } = require('./helpers');
+
+const ACTION1 = 'com.elgato.template.action1';
+const ACTION3 = 'com.elgato.template.action3';
+
+describe('TaskScheduler', () => {
+	let host;
+	let plugin;
+	let errors;
+
+	before(async () => {
+		({ host, plugin, errors } = await startPlugin());
+		plugin.eval('window.runs = []; window.updates = [];');
+	});
+
+	after(async () => {
+		plugin.eval(`TaskScheduler.unregister('${ACTION1}'); TaskScheduler.unregister('${ACTION3}')`);
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	it('runs a task while its key is visible', async () => {
+		plugin.eval(`window.visible = TaskScheduler.register('${ACTION3}', { interval: 40, run: (context) => runs.push(context.context) })`);
+		const context = host.addKey({ action: ACTION3 });
+		await wait(150);
+
+		assert.strictEqual(plugin.eval(`TaskScheduler.isRunning('${context}')`), true);
+		assert.ok(plugin.eval('runs.length') >= 2);
+
+		host.removeKey(context);
+		await wait(20);
+		const count = plugin.eval('runs.length');
+		await wait(100);
+
+		assert.strictEqual(plugin.eval(`TaskScheduler.isRunning('${context}')`), false);
+		assert.strictEqual(plugin.eval('runs.length'), count);
+		plugin.eval(`TaskScheduler.unregister('${ACTION3}', visible); runs.length = 0`);
+	});
+
+	it('shares one run between keys showing the same source', async () => {
+		plugin.eval(`TaskScheduler.register('${ACTION1}', {
+			interval: 10000,
+			source: (context) => context.settings.url,
+			run: (context) => runs.push(context.settings.url) && context.settings.url.length,
+			update: (value, context) => updates.push([context.context, value]),
+		})`);
+		const first = host.addKey({ action: ACTION1, settings: { url: 'build' } });
+		const second = host.addKey({ action: ACTION1, settings: { url: 'build' }, column: 1 });
+		const other = host.addKey({ action: ACTION1, settings: { url: 'deploy' }, column: 2 });
+		await wait(50);
+
+		assert.deepStrictEqual(Array.from(plugin.eval('runs')), ['build', 'deploy']);
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(plugin.eval('updates'))).sort(), [[first, 5], [other, 6], [second, 5]].sort());
+
+		await plugin.eval(`TaskScheduler.refresh('${second}')`);
+		assert.deepStrictEqual(Array.from(plugin.eval('runs')), ['build', 'deploy', 'build']);
+		assert.strictEqual(plugin.eval(`updates.filter(([context]) => context === '${first}').length`), 2);
+
+		[first, second, other].forEach((context) => host.removeKey(context));
+		plugin.eval(`TaskScheduler.unregister('${ACTION1}'); runs.length = 0`);
+	});
+
+	it('waits longer after each failed run', async () => {
+		plugin.eval(`TaskScheduler.register('${ACTION3}', {
+			interval: 20,
+			backoff: 3,
+			run: () => {
+				runs.push(Date.now());
+				throw new Error('offline');
+			},
+		})`);
+		const context = host.addKey({ action: ACTION3 });
+		await wait(500);
+		host.removeKey(context);
+
+		// Runs at 0, 60, 240 (20 * 3, then 20 * 9 later) instead of every 20ms
+		const times = Array.from(plugin.eval('runs'));
+		const gaps = times.slice(1).map((time, index) => time - times[index]);
+
+		assert.strictEqual(times.length, 3);
+		assert.ok(gaps[0] >= 55 && gaps[1] >= 170, `gaps ${gaps}`);
+		assert.ok(plugin.eval(`Logger.dump({ channel: 'task-scheduler' }).filter(({ message }) => message === 'Task failed').length`) >= 3);
+	});
+});
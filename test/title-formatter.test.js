@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { before, describe, it } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+// Without a canvas every glyph is 0.6 em wide: 7.2px at the 12px default, 8 characters on the 64px a key leaves for the title
+describe('TitleFormatter', () => {
+	let window;
+	let TitleFormatter;
+
+	before(() => {
+		window = loadScripts(['constants.js', 'localization.js', 'title-formatter.js']);
+		window.HTMLCanvasElement.prototype.getContext = () => {
+			throw new Error('No canvas');
+		};
+		({ TitleFormatter } = window);
+	});
+
+	const layout = (...args) => JSON.parse(JSON.stringify(TitleFormatter.layout(...args)));
+
+	it('wraps text at word boundaries and keeps new lines', () => {
+		assert.deepStrictEqual(layout('CPU load high', { titleAlignment: 'middle' }), { lines: ['CPU load', 'high'], fontSize: 12 });
+		assert.deepStrictEqual(layout('a\nb c', { titleAlignment: 'middle' }), { lines: ['a', 'b c'], fontSize: 12 });
+	});
+
+	it('breaks words wider than the key', () => {
+		assert.deepStrictEqual(layout('abcdefghijk', { titleAlignment: 'middle' }).lines, ['abcdefgh', 'ijk']);
+	});
+
+	it('ellipsizes the last line when the text has more lines than the key holds', () => {
+		assert.deepStrictEqual(layout('one two three four five six').lines, ['one two', 'three f…']);
+		assert.deepStrictEqual(layout('one two three', {}, { maxLines: 1 }).lines, ['one two…']);
+	});
+
+	it('shrinks the font until the text fits', () => {
+		const { lines, fontSize } = layout('one two three four five six', {}, { overflow: 'shrink' });
+
+		assert.ok(fontSize < 12);
+		assert.strictEqual(lines.join(' '), 'one two three four five six');
+	});
+
+	it('falls back to the average glyph width quietly when the page has no canvas', () => {
+		layout('one');
+		layout('two');
+		assert.deepStrictEqual(window.logs, []);
+	});
+
+	it('fills and formats template placeholders', () => {
+		assert.strictEqual(TitleFormatter.fill('{load:percent} {host} {missing}', { load: 0.42, host: 'agent' }, 'en'), '42% agent {missing}');
+		assert.throws(() => TitleFormatter.fill('{load:unknown}', { load: 1 }, 'en'), /Unknown title format unknown/);
+	});
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it } = require('node:test');
+const { validate } = require('../tools/validate');
+const { PLUGIN_DIR, copyPlugin } = require('./helpers');
+
+const LAYOUTS = 'actions/template/property-inspector/layouts.json';
+
+const editJson = (pluginDir, file, edit) => {
+	const json = JSON.parse(fs.readFileSync(path.join(pluginDir, file), 'utf8'));
+	edit(json);
+	fs.writeFileSync(path.join(pluginDir, file), JSON.stringify(json, null, '\t'));
+};
+
+describe('validate', () => {
+	it('passes the plugin of the repository', () => {
+		assert.deepStrictEqual(validate(PLUGIN_DIR).errors, []);
+	});
+
+	it('reports manifest properties against the SDK schema and the files they reference', () => {
+		const pluginDir = copyPlugin();
+		editJson(pluginDir, 'manifest.json', (manifest) => {
+			delete manifest.Author;
+			manifest.SDKVersion = 3;
+			manifest.Actions[0].PropertyInspectorPath = 'actions/template/inspector/inspector.html';
+			manifest.Actions[1].Icon = 'images/missing';
+		});
+		fs.unlinkSync(path.join(pluginDir, 'actions/template/assets/action@2x.png'));
+
+		assert.deepStrictEqual(validate(pluginDir).errors, [
+			'manifest.json: Author is required',
+			'manifest.json Icon: high resolution image actions/template/assets/action@2x.png not found',
+			'manifest.json SDKVersion: must be one of 2',
+			'manifest.json Actions[0].PropertyInspectorPath: file actions/template/inspector/inspector.html not found',
+			'manifest.json Actions[1].Icon: image images/missing not found, expected images/missing.png',
+		]);
+	});
+
+	it('warns about actions app.js does not register and about more than two states', () => {
+		const pluginDir = copyPlugin();
+		editJson(pluginDir, 'manifest.json', (manifest) => {
+			const [action] = manifest.Actions;
+			manifest.Actions.push(Object.assign({}, action, { UUID: 'com.elgato.template.unregistered', States: [0, 1, 2].map(() => action.States[0]) }));
+		});
+
+		const { errors, warnings } = validate(pluginDir);
+		assert.deepStrictEqual(errors, []);
+		assert.ok(warnings.includes('manifest.json: action com.elgato.template.unregistered is not registered by the scripts of app.html'));
+		assert.ok(warnings.includes('manifest.json Actions[3].States: has more than two states, the SDK schema describes one or two'));
+	});
+
+	it('compares the keys of the language files with en.json', () => {
+		const pluginDir = copyPlugin();
+		editJson(pluginDir, 'de.json', (json) => {
+			delete json.Localization['More info'];
+			json.Localization.Extra = 'Extra';
+		});
+
+		const { errors, warnings } = validate(pluginDir);
+		assert.deepStrictEqual(errors, ['de.json: missing Localization > More info']);
+		assert.ok(warnings.includes('de.json: Localization > Extra is not in en.json'));
+	});
+
+	it('exits with 1 and prints the errors from the command line', () => {
+		const pluginDir = copyPlugin();
+		editJson(pluginDir, 'manifest.json', (manifest) => delete manifest.Author);
+
+		const { status, stdout, stderr } = spawnSync(process.execPath, [path.join(__dirname, '..', 'tools', 'validate.js'), '--plugin', pluginDir], { encoding: 'utf8' });
+		assert.strictEqual(status, 1);
+		assert.match(`${stdout}${stderr}`, /manifest\.json: Author is required/);
+	});
+
+	it('reports layout texts a language file does not translate', () => {
+		const pluginDir = copyPlugin();
+		editJson(pluginDir, LAYOUTS, (layouts) => layouts['com.elgato.template.action1'].push({ type: 'select', name: 'speed', label: 'Speed', options: [{ value: 1, label: 'Slow' }] }));
+		editJson(pluginDir, 'en.json', (json) => Object.assign(json.Localization, { Speed: 'Speed', Slow: 'Slow' }));
+		editJson(pluginDir, 'de.json', (json) => Object.assign(json.Localization, { Speed: 'Tempo' }));
+
+		const { errors } = validate(pluginDir);
+		assert.ok(errors.includes(`de.json: Localization misses "Slow", used in ${LAYOUTS}`));
+		assert.ok(!errors.some((error) => /"Speed"/.test(error)));
+	});
+});
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { findPluginDir, pluginUUID, readJson, parseArgs } = require('./lib/plugin');
+const { placeholderPng } = require('./lib/png');
+
+/**
+ * Scaffolds plugin code.
+ *
+ * Usage:
+ *   node tools/generate.js action --name "Volume Meter" [--uuid <action uuid>] [--states <1|2>] [--plugin <dir>]
+ *     adds the manifest entry, an Action subclass registered in app.js, its controls in the shared property inspector's
+ *     layouts.json, placeholder images, localization entries and the script include in app.html
+ *   node tools/generate.js rename --uuid my.domain.plugin [--plugin <dir>]
+ *     renames the plugin id in every file of the repository and the *.sdPlugin folder
+ */
+
+const ROOT = path.join(__dirname, '..');
+const UUID_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const LANGUAGE_FILE = /^[a-z]{2}(_[A-Z]{2})?\.json$/;
+const STATE_COLORS = ['#f7821b', '#2e9bff'];
+
+/**
+ * The property inspector every generated action uses, it renders the action's controls from the layouts.json next to it
+ */
+const INSPECTOR = 'actions/template/property-inspector/inspector.html';
+const LAYOUTS = 'actions/template/property-inspector/layouts.json';
+const REGISTER = /Action\.register\(([^)]*)\)/;
+
+/**
+ * Folders and files rename leaves alone
+ */
+const RENAME_SKIP = /(^|\/)(\.git|node_modules|release)(\/|$)|\.(png|gif|jpg|sketch|psd|ai|streamDeckPlugin)$|^DistributionTool$/;
+
+const words = (name) => name.match(/[A-Za-z0-9]+/g) ?? [];
+const kebabCase = (name) => words(name).join('-').toLowerCase();
+const pascalCase = (name) => words(name).map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+const camelCase = (name) => pascalCase(name).replace(/^./, (letter) => letter.toLowerCase());
+
+const writeJson = (file, json, indent) => fs.writeFileSync(file, `${JSON.stringify(json, null, indent)}\n`);
+
+const actionScript = ({ className, name, uuid }) => `/// <reference path="../libs/js/action.js" />
+
+/**
+ * @class ${className}
+ * ${name} (${uuid})
+ */
+class ${className} extends Action {
+    static UUID = '${uuid}';
+
+    onWillAppear(jsn, context) {
+        this.showName(context);
+    }
+
+    onDidReceiveSettings(jsn, context) {
+        this.showName(context);
+    }
+
+    onKeyUp(jsn, context) {
+        StreamDeck.showOk(context.context);
+    }
+
+    showName(context) {
+        this.setTitle(context, context.settings.name ?? '');
+    }
+}
+`;
+
+const layoutEntry = (uuid) => `\t${JSON.stringify(uuid)}: [\n\t\t{ "type": "text", "name": "name", "label": "Name" }\n\t]`;
+
+/**
+ * Adds an action to the plugin
+ * @param {*} options
+ * @param {string} options.pluginDir
+ * @param {string} options.name - display name, e.g. Volume Meter
+ * @param {string} options.uuid - defaults to the plugin UUID followed by the kebab-cased name
+ * @param {number} options.states - 1 or 2
+ * @returns {string[]} the created or changed files, relative to the plugin folder
+ */
+const generateAction = ({ pluginDir = findPluginDir(), name, uuid, states = 1 }) => {
+	if (!name || !words(name).length) throw new Error('--name is required');
+
+	const slug = kebabCase(name);
+	const className = pascalCase(name);
+	const actionUUID = uuid ?? `${pluginUUID(pluginDir)}.${slug}`;
+	const stateCount = Number(states);
+	const folder = `actions/${slug}`;
+	const script = `actions/${camelCase(name)}.js`;
+	const manifest = readJson(pluginDir, 'manifest.json');
+
+	if (!UUID_PATTERN.test(actionUUID)) throw new Error(`${actionUUID} is not a valid UUID, use lowercase reverse-DNS like com.example.plugin.action`);
+	if (![1, 2].includes(stateCount)) throw new Error('--states must be 1 or 2');
+	if (manifest.Actions.some((action) => action.UUID === actionUUID)) throw new Error(`manifest.json already has an action ${actionUUID}`);
+	if (/^[0-9]/.test(className)) throw new Error(`${name} must start with a letter`);
+
+	const existing = [folder, script].find((file) => fs.existsSync(path.join(pluginDir, file)));
+	if (existing) throw new Error(`${existing} already exists`);
+
+	const missing = [INSPECTOR, LAYOUTS].find((file) => !fs.existsSync(path.join(pluginDir, file)));
+	if (missing) throw new Error(`${missing} is missing, generated actions use the shared property inspector`);
+
+	// The script goes before app.js in the CodePath page, the class into the Action.register call of app.js
+	const codePath = path.join(pluginDir, manifest.CodePath);
+	const html = fs.readFileSync(codePath, 'utf8');
+	const appScript = html.match(/^([ \t]*)<script src="(app\.js)"><\/script>/m);
+	if (!appScript) throw new Error(`${manifest.CodePath} has no app.js script to add ${script} before`);
+
+	const appPath = path.join(path.dirname(codePath), appScript[2]);
+	const app = fs.readFileSync(appPath, 'utf8');
+	const register = app.match(REGISTER);
+	if (!register) throw new Error(`${path.relative(pluginDir, appPath)} has no Action.register call to add ${className} to`);
+
+	const write = (file, data) => {
+		fs.mkdirSync(path.dirname(path.join(pluginDir, file)), { recursive: true });
+		fs.writeFileSync(path.join(pluginDir, file), data);
+		return file;
+	};
+
+	const images = ['icon', ...Array.from({ length: stateCount }, (_, index) => `state${index}`)];
+	const files = images.flatMap((image, index) => [
+		write(`${folder}/assets/${image}.png`, placeholderPng(72, STATE_COLORS[Math.max(index - 1, 0)])),
+		write(`${folder}/assets/${image}@2x.png`, placeholderPng(144, STATE_COLORS[Math.max(index - 1, 0)])),
+	]);
+
+	files.push(write(script, actionScript({ className, name, uuid: actionUUID })));
+
+	// layouts.json is written as text, JSON.stringify would undo its one field per line formatting
+	const layouts = fs.readFileSync(path.join(pluginDir, LAYOUTS), 'utf8');
+	const entries = Object.keys(JSON.parse(layouts)).length;
+	files.push(write(LAYOUTS, entries ? layouts.replace(/\s*\}\s*$/, `,\n${layoutEntry(actionUUID)}\n}\n`) : `{\n${layoutEntry(actionUUID)}\n}\n`));
+
+	manifest.Actions.push({
+		Icon: `${folder}/assets/icon`,
+		Name: name,
+		States: images.slice(1).map((image) => ({ Image: `${folder}/assets/${image}` })),
+		Tooltip: name,
+		UUID: actionUUID,
+		PropertyInspectorPath: INSPECTOR,
+	});
+	writeJson(path.join(pluginDir, 'manifest.json'), manifest, '\t');
+	files.push('manifest.json');
+
+	// Other languages get the English text, to be translated
+	fs.readdirSync(pluginDir)
+		.filter((file) => LANGUAGE_FILE.test(file))
+		.forEach((file) => {
+			const json = readJson(pluginDir, file);
+			json[actionUUID] = { Name: name, Tooltip: name };
+			json.Localization = Object.assign({}, json.Localization, { Name: json.Localization?.Name ?? 'Name' });
+			writeJson(path.join(pluginDir, file), json, 2);
+			files.push(file);
+		});
+
+	fs.writeFileSync(codePath, html.replace(appScript[0], `${appScript[1]}<script src="${script}"></script>\n${appScript[0]}`));
+	files.push(manifest.CodePath);
+
+	const classes = register[1].replace(/[\s,]*$/, '');
+	const references = app.match(/^(?:\/\/\/ <reference .*\n)+/);
+	const reference = `/// <reference path="${path.relative(path.dirname(appPath), path.join(pluginDir, script)).split(path.sep).join('/')}" />\n`;
+	fs.writeFileSync(
+		appPath,
+		(references ? app.replace(references[0], `${references[0]}${reference}`) : app).replace(register[0], `Action.register(${classes ? `${classes}, ` : ''}${className})`)
+	);
+	files.push(path.relative(pluginDir, appPath).split(path.sep).join('/'));
+
+	return files;
+};
+
+/**
+ * Replaces the plugin id in every text file of the repository and renames the *.sdPlugin folder
+ * @param {*} options
+ * @param {string} options.pluginDir
+ * @param {string} options.uuid - the new plugin id
+ * @returns {string[]} the changed files, relative to the repository root
+ */
+const renamePlugin = ({ pluginDir = findPluginDir(), uuid }) => {
+	const current = pluginUUID(pluginDir);
+
+	if (!uuid || !UUID_PATTERN.test(uuid)) throw new Error('--uuid must be a lowercase reverse-DNS id like com.example.plugin');
+	if (uuid === current) return [];
+
+	const target = path.join(path.dirname(pluginDir), `${uuid}.sdPlugin`);
+	if (fs.existsSync(target)) throw new Error(`${path.relative(ROOT, target)} already exists`);
+
+	const walk = (dir) =>
+		fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap((entry) => {
+			const file = dir ? `${dir}/${entry.name}` : entry.name;
+			if (RENAME_SKIP.test(file)) return [];
+			return entry.isDirectory() ? walk(file) : [file];
+		});
+
+	const changed = walk('').filter((file) => {
+		const data = fs.readFileSync(path.join(ROOT, file));
+		if (data.includes(0)) return false;
+
+		const text = data.toString('utf8');
+		if (!text.includes(current)) return false;
+
+		fs.writeFileSync(path.join(ROOT, file), text.split(current).join(uuid));
+		return true;
+	});
+
+	fs.renameSync(pluginDir, target);
+	return changed.map((file) => file.split(`${current}.sdPlugin`).join(`${uuid}.sdPlugin`));
+};
+
+if (require.main === module) {
+	try {
+		const [command] = process.argv.slice(2);
+		const options = parseArgs();
+		const pluginDir = path.resolve(options.plugin ?? findPluginDir());
+
+		if (command === 'action') {
+			const files = generateAction({ pluginDir, name: options.name, uuid: options.uuid, states: options.states });
+			files.forEach((file) => console.log(`  ${file}`));
+			console.log(`Added action ${options.name}, run npm run validate to check the plugin`);
+		} else if (command === 'rename') {
+			const files = renamePlugin({ pluginDir, uuid: options.uuid });
+			files.forEach((file) => console.log(`  ${file}`));
+			console.log(`Renamed ${pluginUUID(pluginDir)} to ${options.uuid} in ${files.length} files`);
+		} else {
+			throw new Error('Usage: node tools/generate.js action --name <name> [--uuid <uuid>] [--states <1|2>] | rename --uuid <uuid>');
+		}
+	} catch (error) {
+		console.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+module.exports = { generateAction, renamePlugin };
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helpers shared by the Node tools to locate and read the plugin folder.
+ */
+
+/**
+ * Returns the first *.sdPlugin folder under src/
+ * @param {string} root - the repository root
+ * @returns {string}
+ */
+const findPluginDir = (root = path.join(__dirname, '..', '..')) => {
+	const src = path.join(root, 'src');
+	const folder = fs.readdirSync(src).find((name) => name.endsWith('.sdPlugin'));
+
+	if (!folder) {
+		throw new Error(`No *.sdPlugin folder found in ${src}`);
+	}
+
+	return path.join(src, folder);
+};
+
+/**
+ * Returns the plugin UUID, the folder name without .sdPlugin
+ * @param {string} pluginDir
+ * @returns {string}
+ */
+const pluginUUID = (pluginDir) => path.basename(path.resolve(pluginDir)).replace(/\.sdPlugin$/, '');
+
+/**
+ * Reads and parses a JSON file of the plugin
+ * @param {string} pluginDir
+ * @param {string} file - path relative to the plugin folder
+ * @returns {*}
+ */
+const readJson = (pluginDir, file) => JSON.parse(fs.readFileSync(path.join(pluginDir, file), 'utf8'));
+
+/**
+ * Returns the local scripts an html page of the plugin loads, relative to the plugin folder
+ * @param {string} pluginDir
+ * @param {string} page - path relative to the plugin folder
+ * @returns {string[]}
+ */
+const pageScripts = (pluginDir, page) => {
+	const html = fs.readFileSync(path.join(pluginDir, page), 'utf8');
+	return Array.from(html.matchAll(/<script[^>]*\ssrc=["']([^"']+)["']/g))
+		.map(([, src]) => src)
+		.filter((src) => !/^[a-z]+:/i.test(src))
+		.map((src) => path.posix.join(path.posix.dirname(page), src));
+};
+
+/**
+ * Parses command line options of the form --name value, flags without a value are true
+ * @param {string[]} args
+ * @returns {*}
+ */
+const parseArgs = (args = process.argv.slice(2)) => {
+	const options = {};
+
+	args.forEach((arg, index) => {
+		if (!arg.startsWith('--')) return;
+		const next = args[index + 1];
+		options[arg.slice(2)] = next === undefined || next.startsWith('--') ? true : next;
+	});
+
+	return options;
+};
+
+module.exports = { findPluginDir, pluginUUID, readJson, pageScripts, parseArgs };
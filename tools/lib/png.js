@@ -0,0 +1,69 @@
+const zlib = require('zlib');
+const { crc32 } = require('./zip');
+
+/**
+ * A minimal PNG writer for generated placeholder images.
+ */
+
+const chunk = (type, data) => {
+	const header = Buffer.alloc(8);
+	header.writeUInt32BE(data.length, 0);
+	header.write(type, 4, 'ascii');
+
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+
+	return Buffer.concat([header, data, crc]);
+};
+
+/**
+ * Encodes RGBA pixels as a PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {(x: number, y: number) => number[]} pixel - returns [r, g, b, a] for a position
+ * @returns {Buffer}
+ */
+const encodePng = (width, height, pixel) => {
+	const rows = Buffer.alloc((width * 4 + 1) * height);
+
+	for (let y = 0; y < height; y++) {
+		const row = y * (width * 4 + 1);
+		for (let x = 0; x < width; x++) {
+			Buffer.from(pixel(x, y)).copy(rows, row + 1 + x * 4);
+		}
+	}
+
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	header.writeUInt8(8, 8);
+	header.writeUInt8(6, 9);
+
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		chunk('IHDR', header),
+		chunk('IDAT', zlib.deflateSync(rows)),
+		chunk('IEND', Buffer.alloc(0)),
+	]);
+};
+
+/**
+ * Draws a placeholder key image: a dark square with a colored ring
+ * @param {number} size - width and height in pixels
+ * @param {string} color - ring color as #rrggbb
+ * @returns {Buffer}
+ */
+const placeholderPng = (size, color) => {
+	const ring = [1, 3, 5].map((index) => parseInt(color.slice(index, index + 2), 16)).concat(255);
+	const background = [34, 34, 34, 255];
+	const center = (size - 1) / 2;
+	const outer = size * 0.32;
+	const inner = size * 0.22;
+
+	return encodePng(size, size, (x, y) => {
+		const distance = Math.hypot(x - center, y - center);
+		return distance <= outer && distance >= inner ? ring : background;
+	});
+};
+
+module.exports = { encodePng, placeholderPng };
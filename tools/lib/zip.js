@@ -0,0 +1,95 @@
+const zlib = require('zlib');
+
+/**
+ * A minimal zip writer for the .streamDeckPlugin archive: deflated entries, UTF-8 names, no zip64.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 of a buffer
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+const crc32 = (buffer) => {
+	let crc = 0xffffffff;
+	for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Converts a date to the MS-DOS time and date fields of zip headers
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+const dosDateTime = (date) => ({
+	time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+	date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Builds a zip archive
+ * @param {{name: string, data: Buffer, date: Date}[]} entries - names use / as separator
+ * @returns {Buffer}
+ */
+const createZip = (entries) => {
+	const locals = [];
+	const centrals = [];
+	let offset = 0;
+
+	entries.forEach(({ name, data, date = new Date() }) => {
+		const fileName = Buffer.from(name, 'utf8');
+		const compressed = zlib.deflateRawSync(data);
+		const stored = compressed.length >= data.length;
+		const body = stored ? data : compressed;
+		const { time, date: day } = dosDateTime(date);
+		const crc = crc32(data);
+
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034b50, 0);
+		local.writeUInt16LE(20, 4);
+		local.writeUInt16LE(0x0800, 6);
+		local.writeUInt16LE(stored ? 0 : 8, 8);
+		local.writeUInt16LE(time, 10);
+		local.writeUInt16LE(day, 12);
+		local.writeUInt32LE(crc, 14);
+		local.writeUInt32LE(body.length, 18);
+		local.writeUInt32LE(data.length, 22);
+		local.writeUInt16LE(fileName.length, 26);
+		local.writeUInt16LE(0, 28);
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(20, 4);
+		central.writeUInt16LE(20, 6);
+		central.writeUInt16LE(0x0800, 8);
+		central.writeUInt16LE(stored ? 0 : 8, 10);
+		central.writeUInt16LE(time, 12);
+		central.writeUInt16LE(day, 14);
+		central.writeUInt32LE(crc, 16);
+		central.writeUInt32LE(body.length, 20);
+		central.writeUInt32LE(data.length, 24);
+		central.writeUInt16LE(fileName.length, 28);
+		central.writeUInt32LE(offset, 42);
+
+		locals.push(local, fileName, body);
+		centrals.push(central, fileName);
+		offset += local.length + fileName.length + body.length;
+	});
+
+	const directory = Buffer.concat(centrals);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(entries.length, 8);
+	end.writeUInt16LE(entries.length, 10);
+	end.writeUInt32LE(directory.length, 12);
+	end.writeUInt32LE(offset, 16);
+
+	return Buffer.concat([...locals, directory, end]);
+};
+
+module.exports = { createZip, crc32 };
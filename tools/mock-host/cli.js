@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+const repl = require('repl');
+const { MockStreamDeck } = require('./mock-host');
+
+/**
+ * Starts a mock Stream Deck, loads the plugin and places every manifest action on a key.
+ * Traffic is printed to the terminal and the host is available as `host` in the REPL.
+ *
+ * Usage: node tools/mock-host/cli.js [--plugin <dir>] [--language <code>] [--once]
+ *   --once  presses every key once and exits instead of opening the REPL
+ */
+const args = process.argv.slice(2);
+const option = (name) => {
+	const index = args.indexOf(name);
+	return index === -1 ? undefined : args[index + 1];
+};
+
+const main = async () => {
+	const host = new MockStreamDeck({ pluginDir: option('--plugin'), language: option('--language') });
+
+	host.on('message', (json) => console.log('->', json.event, json.context ?? '', JSON.stringify(json.payload ?? '')));
+	host.on('console', ({ role, level, args: messages }) => console.log(`[${role}:${level}]`, ...messages));
+
+	await host.start();
+	console.log(`Mock Stream Deck listening on port ${host.port}`);
+
+	const device = host.addDevice();
+	const keys = host.manifest.Actions.map(({ UUID }, column) => host.addKey({ action: UUID, device, column }));
+	await host.loadPlugin();
+
+	if (args.includes('--once')) {
+		for (const context of keys) await host.press(context, 50);
+		await new Promise((resolve) => setTimeout(resolve, 500));
+		await host.stop();
+		return;
+	}
+
+	console.log('Keys:', keys.join(', '));
+	const server = repl.start('mock> ');
+	Object.assign(server.context, { host, keys });
+	server.on('exit', () => host.stop());
+};
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(1);
+});
@@ -0,0 +1,514 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { WebSocketServer } = require('ws');
+const { findPluginDir, pluginUUID } = require('../lib/plugin');
+
+/**
+ * Default layouts of the Stream Deck device types
+ */
+const DEVICE_TYPES = {
+	0: { name: 'Stream Deck', columns: 5, rows: 3 },
+	1: { name: 'Stream Deck Mini', columns: 3, rows: 2 },
+	2: { name: 'Stream Deck XL', columns: 8, rows: 4 },
+	3: { name: 'Stream Deck Mobile', columns: 5, rows: 3 },
+	5: { name: 'Stream Deck Pedal', columns: 3, rows: 1 },
+	7: { name: 'Stream Deck +', columns: 4, rows: 2 },
+};
+
+/**
+ * Events recorded on a key when the plugin sends them
+ */
+const KEY_EVENTS = ['setTitle', 'setImage', 'setState', 'showOk', 'showAlert'];
+
+const createId = () => crypto.randomBytes(16).toString('hex').toUpperCase();
+
+/**
+ * @class MockStreamDeck
+ * A local stand-in for the Stream Deck application. It speaks the plugin websocket protocol,
+ * loads the plugin and property inspector pages in jsdom, lets you script devices, keys and events,
+ * and records every message the plugin or inspectors send.
+ */
+class MockStreamDeck extends EventEmitter {
+	pluginDir;
+	pluginUUID;
+	manifest;
+	port = null;
+	messages = [];
+	devices = new Map();
+	keys = new Map();
+	globalSettings = {};
+	plugin = null;
+	inspectors = new Map();
+	#server = null;
+	#language;
+	#platform;
+
+	/**
+	 * @param {*} options
+	 * @param {string} options.pluginDir - the *.sdPlugin folder, defaults to the first one in src/
+	 * @param {string} options.language - application language sent in appInfo
+	 * @param {string} options.platform - mac or windows
+	 */
+	constructor({ pluginDir = MockStreamDeck.findPluginDir(), language = 'en', platform = 'mac' } = {}) {
+		super();
+		this.pluginDir = path.resolve(pluginDir);
+		this.pluginUUID = pluginUUID(this.pluginDir);
+		this.manifest = JSON.parse(fs.readFileSync(path.join(this.pluginDir, 'manifest.json'), 'utf8'));
+		this.#language = language;
+		this.#platform = platform;
+	}
+
+	/**
+	 * Returns the first *.sdPlugin folder under src/
+	 * @param {string} root
+	 * @returns {string}
+	 */
+	static findPluginDir(root) {
+		return findPluginDir(root);
+	}
+
+	/**
+	 * Starts the websocket server on a free port
+	 * @returns {Promise<number>} the port
+	 */
+	start() {
+		return new Promise((resolve, reject) => {
+			this.#server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+			this.#server.once('error', reject);
+			this.#server.once('listening', () => {
+				this.port = this.#server.address().port;
+				resolve(this.port);
+			});
+			this.#server.on('connection', (socket) => {
+				socket.on('message', (message) => this.#receive(socket, JSON.parse(message.toString())));
+			});
+		});
+	}
+
+	/**
+	 * Closes all loaded pages and the websocket server
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		this.inspectors.forEach((inspector) => inspector.window.close());
+		this.inspectors.clear();
+		this.plugin?.window.close();
+		this.plugin = null;
+
+		if (this.#server) {
+			this.#server.clients.forEach((socket) => socket.terminate());
+			await new Promise((resolve) => this.#server.close(resolve));
+			this.#server = null;
+		}
+	}
+
+	/**
+	 * The appInfo Stream Deck passes to connectElgatoStreamDeckSocket
+	 * @returns {*}
+	 */
+	get appInfo() {
+		return {
+			application: {
+				font: this.#platform === 'mac' ? '.AppleSystemUIFont' : 'Segoe UI',
+				language: this.#language,
+				platform: this.#platform,
+				platformVersion: this.#platform === 'mac' ? '13.0.0' : '10.0.19045',
+				version: '6.0.0.17000',
+			},
+			plugin: {
+				uuid: this.pluginUUID,
+				version: this.manifest.Version,
+			},
+			devicePixelRatio: 2,
+			colors: {
+				buttonPressedBackgroundColor: '#303030FF',
+				buttonPressedBorderColor: '#646464FF',
+				buttonPressedTextColor: '#969696FF',
+				disabledColor: '#F7821B59',
+				highlightColor: '#F7821BFF',
+				mouseDownColor: '#CF6304FF',
+			},
+			devices: Array.from(this.devices.values()).map(({ id, name, size, type }) => ({ id, name, size, type })),
+		};
+	}
+
+	/**
+	 * Connects a device. Sends deviceDidConnect when the plugin is already loaded
+	 * @param {*} device - id, name, type, columns and rows, all optional
+	 * @returns {string} the device id
+	 */
+	addDevice({ id = createId(), type = 0, name, columns, rows } = {}) {
+		const defaults = DEVICE_TYPES[type] ?? DEVICE_TYPES[0];
+		const device = {
+			id,
+			name: name ?? defaults.name,
+			type,
+			size: { columns: columns ?? defaults.columns, rows: rows ?? defaults.rows },
+		};
+
+		this.devices.set(id, device);
+		this.#sendToPlugin({
+			event: 'deviceDidConnect',
+			device: id,
+			deviceInfo: { name: device.name, type: device.type, size: device.size },
+		});
+
+		return id;
+	}
+
+	/**
+	 * Disconnects a device and removes its keys
+	 * @param {string} id
+	 */
+	removeDevice(id) {
+		this.keys.forEach((key) => key.device === id && this.removeKey(key.context));
+		this.devices.delete(id);
+		this.#sendToPlugin({ event: 'deviceDidDisconnect', device: id });
+	}
+
+	/**
+	 * Loads the plugin page and connects it to the host
+	 * @param {string} page - CodePath from the manifest by default
+	 * @returns {Promise<*>} the jsdom window
+	 */
+	async loadPlugin(page = this.manifest.CodePath) {
+		if (this.devices.size === 0) this.addDevice();
+
+		const window = await this.#loadPage(page, 'plugin');
+		const registered = this.waitFor('registerPlugin');
+
+		this.plugin = { uuid: this.pluginUUID, window, socket: null };
+		window.connectElgatoStreamDeckSocket(this.port, this.pluginUUID, 'registerPlugin', JSON.stringify(this.appInfo));
+		await registered;
+
+		this.keys.forEach((key) => this.#sendKeyEvent(key, 'willAppear'));
+		return window;
+	}
+
+	/**
+	 * Places an action on a key and sends willAppear
+	 * @param {*} key
+	 * @param {string} key.action - the action UUID
+	 * @returns {string} the context id of the new key
+	 */
+	addKey({ action, device, column = 0, row = 0, settings = {}, state = 0, isInMultiAction = false, context = createId() }) {
+		const key = {
+			action,
+			context,
+			device: device ?? this.devices.keys().next().value ?? this.addDevice(),
+			coordinates: { column, row },
+			settings,
+			state,
+			isInMultiAction,
+			title: null,
+			image: null,
+		};
+
+		this.keys.set(context, key);
+		if (this.plugin?.socket) this.#sendKeyEvent(key, 'willAppear');
+
+		return context;
+	}
+
+	/**
+	 * Removes a key, closing its property inspector, and sends willDisappear
+	 * @param {string} context
+	 */
+	removeKey(context) {
+		const key = this.#getKey(context);
+
+		if (this.inspectors.has(context)) this.closeInspector(context);
+		this.#sendKeyEvent(key, 'willDisappear');
+		this.keys.delete(context);
+	}
+
+	/**
+	 * Sends keyDown for a key
+	 * @param {string} context
+	 */
+	keyDown(context) {
+		this.#sendKeyEvent(this.#getKey(context), 'keyDown');
+	}
+
+	/**
+	 * Sends keyUp for a key
+	 * @param {string} context
+	 */
+	keyUp(context) {
+		this.#sendKeyEvent(this.#getKey(context), 'keyUp');
+	}
+
+	/**
+	 * Presses and releases a key
+	 * @param {string} context
+	 * @param {number} holdTime - milliseconds between keyDown and keyUp
+	 * @returns {Promise<void>}
+	 */
+	async press(context, holdTime = 0) {
+		this.keyDown(context);
+		await new Promise((resolve) => setTimeout(resolve, holdTime));
+		this.keyUp(context);
+	}
+
+	/**
+	 * Changes the settings of a key as if the user edited them, and sends didReceiveSettings to the plugin
+	 * @param {string} context
+	 * @param {*} settings
+	 */
+	setSettings(context, settings) {
+		const key = this.#getKey(context);
+		key.settings = settings;
+		this.#sendKeyEvent(key, 'didReceiveSettings');
+	}
+
+	/**
+	 * Changes the title parameters of a key and sends titleParametersDidChange
+	 * @param {string} context
+	 * @param {*} titleParameters
+	 * @param {string} title
+	 */
+	setTitleParameters(context, titleParameters = {}, title = '') {
+		const key = this.#getKey(context);
+		this.#sendToPlugin({
+			action: key.action,
+			event: 'titleParametersDidChange',
+			context,
+			device: key.device,
+			payload: {
+				coordinates: key.coordinates,
+				settings: key.settings,
+				state: key.state,
+				title,
+				titleParameters: Object.assign(
+					{
+						fontFamily: '',
+						fontSize: 12,
+						fontStyle: '',
+						fontUnderline: false,
+						showTitle: true,
+						titleAlignment: 'bottom',
+						titleColor: '#ffffff',
+					},
+					titleParameters
+				),
+			},
+		});
+	}
+
+	/**
+	 * Sends systemDidWakeUp
+	 */
+	wakeUp() {
+		this.#sendToPlugin({ event: 'systemDidWakeUp' });
+	}
+
+	/**
+	 * Opens the property inspector of a key
+	 * @param {string} context
+	 * @param {string} page - PropertyInspectorPath of the action (or the plugin) by default
+	 * @returns {Promise<*>} the jsdom window
+	 */
+	async openInspector(context, page) {
+		const key = this.#getKey(context);
+		const manifestAction = this.manifest.Actions.find(({ UUID }) => UUID === key.action);
+		const uuid = createId();
+		const window = await this.#loadPage(page ?? manifestAction?.PropertyInspectorPath ?? this.manifest.PropertyInspectorPath, 'inspector');
+		const registered = this.waitFor('registerPropertyInspector', { predicate: (json) => json.uuid === uuid });
+		const actionInfo = {
+			action: key.action,
+			context,
+			device: key.device,
+			payload: { settings: key.settings, coordinates: key.coordinates },
+		};
+
+		this.inspectors.set(context, { uuid, window, socket: null });
+		window.connectElgatoStreamDeckSocket(this.port, uuid, 'registerPropertyInspector', JSON.stringify(this.appInfo), JSON.stringify(actionInfo));
+		await registered;
+
+		this.#sendKeyEvent(key, 'propertyInspectorDidAppear', false);
+		return window;
+	}
+
+	/**
+	 * Closes the property inspector of a key
+	 * @param {string} context
+	 */
+	closeInspector(context) {
+		const inspector = this.inspectors.get(context);
+		if (!inspector) return;
+
+		this.inspectors.delete(context);
+		inspector.window.close();
+		this.#sendKeyEvent(this.#getKey(context), 'propertyInspectorDidDisappear', false);
+	}
+
+	/**
+	 * Returns the recorded messages, optionally filtered by event and context
+	 * @param {string} event
+	 * @param {string} context
+	 * @returns {*[]}
+	 */
+	sent(event, context) {
+		return this.messages.filter((json) => (!event || json.event === event) && (!context || json.context === context));
+	}
+
+	/**
+	 * Waits for the next message sent by the plugin or an inspector
+	 * @param {string} event
+	 * @param {*} options
+	 * @param {string} options.context - only match messages for this context
+	 * @param {Function} options.predicate - only match messages for which this returns true
+	 * @param {number} options.timeout - milliseconds before the promise rejects
+	 * @returns {Promise<*>} the message
+	 */
+	waitFor(event, { context, predicate = () => true, timeout = 2000 } = {}) {
+		return new Promise((resolve, reject) => {
+			const listener = (json) => {
+				if (json.event !== event || (context && json.context !== context) || !predicate(json)) return;
+				clearTimeout(timer);
+				this.off('message', listener);
+				resolve(json);
+			};
+			const timer = setTimeout(() => {
+				this.off('message', listener);
+				reject(new Error(`Timed out after ${timeout}ms waiting for ${event}`));
+			}, timeout);
+
+			this.on('message', listener);
+		});
+	}
+
+	async #loadPage(page, role) {
+		const virtualConsole = new VirtualConsole();
+		['log', 'info', 'warn', 'error', 'debug'].forEach((level) => {
+			virtualConsole.on(level, (...args) => this.emit('console', { role, level, args }));
+		});
+		virtualConsole.on('jsdomError', (error) => this.emit('console', { role, level: 'error', args: [error] }));
+
+		const dom = await JSDOM.fromFile(path.join(this.pluginDir, page), {
+			runScripts: 'dangerously',
+			resources: 'usable',
+			pretendToBeVisual: true,
+			virtualConsole,
+		});
+
+		await new Promise((resolve) => {
+			if (dom.window.document.readyState === 'complete') resolve();
+			else dom.window.addEventListener('load', resolve);
+		});
+
+		return dom.window;
+	}
+
+	#receive(socket, json) {
+		const { event, context } = json;
+		const inspector = Array.from(this.inspectors.entries()).find(([, { uuid, socket: s }]) => s === socket || uuid === context);
+		const from = socket === this.plugin?.socket || event === 'registerPlugin' ? 'plugin' : 'inspector';
+
+		this.messages.push(Object.assign({ from }, json));
+
+		switch (event) {
+			case 'registerPlugin':
+				this.plugin.socket = socket;
+				break;
+			case 'registerPropertyInspector':
+				this.inspectors.forEach((pi) => pi.uuid === json.uuid && (pi.socket = socket));
+				break;
+			case 'getSettings':
+				this.#answerSettings(socket, from === 'plugin' ? context : inspector?.[0]);
+				break;
+			case 'setSettings':
+				this.#storeSettings(from, from === 'plugin' ? context : inspector?.[0], json.payload);
+				break;
+			case 'getGlobalSettings':
+				socket.send(JSON.stringify({ event: 'didReceiveGlobalSettings', payload: { settings: this.globalSettings } }));
+				break;
+			case 'setGlobalSettings':
+				this.globalSettings = json.payload ?? {};
+				this.#broadcast(socket, { event: 'didReceiveGlobalSettings', payload: { settings: this.globalSettings } });
+				break;
+			case 'sendToPlugin':
+				if (inspector) this.#sendKeyEvent(this.#getKey(inspector[0]), 'sendToPlugin', false, json.payload);
+				break;
+			case 'sendToPropertyInspector':
+				this.inspectors.get(context)?.socket?.send(
+					JSON.stringify({ action: this.keys.get(context)?.action, event, context, payload: json.payload })
+				);
+				break;
+			default:
+				if (KEY_EVENTS.includes(event) && this.keys.has(context)) this.#updateKey(this.keys.get(context), event, json.payload);
+		}
+
+		this.emit('message', json);
+	}
+
+	#answerSettings(socket, context) {
+		const key = this.keys.get(context);
+		if (!key) return;
+
+		socket.send(JSON.stringify(this.#keyEvent(key, 'didReceiveSettings')));
+	}
+
+	#storeSettings(from, context, settings) {
+		const key = this.keys.get(context);
+		if (!key) return;
+
+		key.settings = settings ?? {};
+
+		// The side that did not write the settings is told about them
+		if (from === 'inspector') this.#sendKeyEvent(key, 'didReceiveSettings');
+		else this.inspectors.get(context)?.socket?.send(JSON.stringify(this.#keyEvent(key, 'didReceiveSettings')));
+	}
+
+	#updateKey(key, event, payload = {}) {
+		if (event === 'setTitle') key.title = payload.title;
+		if (event === 'setImage') key.image = payload.image;
+		if (event === 'setState') key.state = payload.state;
+	}
+
+	#broadcast(sender, json) {
+		[this.plugin, ...this.inspectors.values()]
+			.filter((target) => target?.socket && target.socket !== sender)
+			.forEach((target) => target.socket.send(JSON.stringify(json)));
+	}
+
+	#getKey(context) {
+		const key = this.keys.get(context);
+
+		if (!key) {
+			throw new Error(`Unknown key context ${context}`);
+		}
+
+		return key;
+	}
+
+	#keyEvent(key, event, payload) {
+		return {
+			action: key.action,
+			event,
+			context: key.context,
+			device: key.device,
+			payload: payload ?? {
+				coordinates: key.coordinates,
+				isInMultiAction: key.isInMultiAction,
+				settings: key.settings,
+				state: key.state,
+			},
+		};
+	}
+
+	#sendKeyEvent(key, event, withPayload = true, payload) {
+		const json = this.#keyEvent(key, event, payload);
+		if (!withPayload && payload === undefined) delete json.payload;
+		this.#sendToPlugin(json);
+	}
+
+	#sendToPlugin(json) {
+		this.plugin?.socket?.send(JSON.stringify(json));
+	}
+}
+
+module.exports = { MockStreamDeck, DEVICE_TYPES };
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const { after, before, describe, it } = require('node:test');
+const { MockStreamDeck } = require('./mock-host');
+
+/**
+ * Runs the plugin against the mock Stream Deck: connecting, reconnecting after the socket drops and the key gestures.
+ *
+ * Usage: npm test
+ */
+const ACTION1 = 'com.elgato.template.action1';
+const ACTION2 = 'com.elgato.template.action2';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// jsdom has no canvas, key images and title measuring fall back without it
+const notImplemented = ([error]) => /^Not implemented/.test(error?.message ?? '');
+
+describe('plugin on the mock Stream Deck', () => {
+	const host = new MockStreamDeck();
+	const errors = [];
+	let plugin;
+	let tapKey;
+	let nameKey;
+
+	before(async () => {
+		host.on('console', ({ role, level, args }) => level === 'error' && !notImplemented(args) && errors.push({ role, args }));
+		await host.start();
+
+		tapKey = host.addKey({ action: ACTION1 });
+		nameKey = host.addKey({ action: ACTION2, column: 1, settings: { name: 'Hello' } });
+		plugin = await host.loadPlugin();
+
+		plugin.eval(`Gesture.bind('${ACTION1}', { longPressDelay: 200, multiTapDelay: 100 })`);
+		plugin.eval(`Gesture.bind('${ACTION2}', { longPressDelay: 200, multiTapDelay: 100 })`);
+	});
+
+	after(async () => {
+		await host.stop();
+		assert.deepStrictEqual(errors, []);
+	});
+
+	describe('connect', () => {
+		it('registers with the plugin UUID', () => {
+			const [registration] = host.sent('registerPlugin');
+			assert.strictEqual(registration.uuid, host.pluginUUID);
+		});
+
+		it('tracks the keys that appeared', async () => {
+			if (!host.sent('setTitle', nameKey).length) await host.waitFor('setTitle', { context: nameKey });
+
+			assert.strictEqual(plugin.eval('ContextRegistry.all().length'), 2);
+			assert.strictEqual(host.keys.get(nameKey).title, 'Hello');
+		});
+	});
+
+	describe('reconnect', () => {
+		it('registers again and sends the messages queued while disconnected', async () => {
+			const registered = host.waitFor('registerPlugin', { timeout: 5000 });
+			const title = host.waitFor('setTitle', { context: nameKey, predicate: ({ payload }) => payload.title === 'Queued', timeout: 5000 });
+
+			host.plugin.socket.terminate();
+			await wait(50);
+			plugin.eval(`StreamDeck.setTitle('${nameKey}', 'Queued')`);
+
+			await registered;
+			await title;
+			assert.strictEqual(host.keys.get(nameKey).title, 'Queued');
+		});
+
+		it('receives events on the new socket', async () => {
+			const ok = host.waitFor('showOk', { context: nameKey });
+			await host.press(nameKey, 10);
+			await ok;
+		});
+	});
+
+	describe('gestures', () => {
+		it('dispatches keyUp after a short press', async () => {
+			const ok = host.waitFor('showOk', { context: nameKey });
+			await host.press(nameKey, 10);
+			await ok;
+		});
+
+		it('consumes the keyUp ending a long press', async () => {
+			plugin.eval(`window.gestures = []; EventEmitter.on('*.keyUp', () => gestures.push('keyUp')); EventEmitter.on('*.longPress', () => gestures.push('longPress'));`);
+			const count = host.sent('showOk', nameKey).length;
+
+			await host.press(nameKey, 300);
+			await wait(150);
+
+			assert.deepStrictEqual(Array.from(plugin.eval('gestures')), ['longPress']);
+			assert.strictEqual(host.sent('showOk', nameKey).length, count);
+		});
+
+		it('reports a double tap with its tap count', async () => {
+			const title = host.waitFor('setTitle', { context: tapKey });
+
+			await host.press(tapKey, 10);
+			await host.press(tapKey, 10);
+
+			const { payload } = await title;
+			assert.match(payload.title, /2/);
+		});
+
+		it('repeats while a long press is held', async () => {
+			plugin.eval(`window.repeats = 0; EventEmitter.on('${ACTION1}.holdRepeat', () => repeats++);`);
+
+			host.keyDown(tapKey);
+			await wait(900);
+			host.keyUp(tapKey);
+			await wait(50);
+
+			assert.ok(plugin.eval('repeats') > 0);
+		});
+	});
+});
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findPluginDir, pluginUUID, parseArgs } = require('./lib/plugin');
+const { createZip } = require('./lib/zip');
+const { validate, SCHEMA } = require('./validate');
+
+/**
+ * Packages the plugin into a .streamDeckPlugin archive and optionally installs it, on any platform.
+ * The archive is a zip holding the *.sdPlugin folder, without dev files and with the version stamped into manifest.json.
+ *
+ * Usage: node tools/package.js [--plugin <dir>] [--out <dir>] [--version <x.y.z>] [--install [<plugins dir>]] [--skip-validation]
+ *   --out      folder for the archive, release/ by default
+ *   --version  version written to the packaged manifest.json, the manifest's own version by default
+ *   --install  also copies the plugin into the Stream Deck plugins folder, or STREAM_DECK_PLUGINS_DIR when set
+ */
+
+/**
+ * Files left out of the package
+ */
+const EXCLUDE = [/\.sketch$/i, /\.psd$/i, /\.ai$/i, /(^|\/)\.DS_Store$/, /(^|\/)Thumbs\.db$/i, /(^|\/)\.git/, /(^|\/)\.vscode\//, /(^|\/)\.idea\//];
+
+/**
+ * Returns the plugins folder of the Stream Deck application on this computer
+ * @returns {string}
+ */
+const defaultPluginsDir = () => {
+	if (process.env.STREAM_DECK_PLUGINS_DIR) return process.env.STREAM_DECK_PLUGINS_DIR;
+	if (process.platform === 'darwin') return path.join(os.homedir(), 'Library', 'Application Support', 'com.elgato.StreamDeck', 'Plugins');
+	if (process.platform === 'win32') return path.join(process.env.APPDATA ?? path.join(os.homedir(), 'AppData', 'Roaming'), 'Elgato', 'StreamDeck', 'Plugins');
+
+	throw new Error('Stream Deck has no plugins folder on this platform, pass --install <dir> or set STREAM_DECK_PLUGINS_DIR');
+};
+
+/**
+ * Lists the files of the plugin folder to package, relative to it and with / as separator
+ * @param {string} pluginDir
+ * @returns {string[]}
+ */
+const listFiles = (pluginDir, dir = '') =>
+	fs
+		.readdirSync(path.join(pluginDir, dir), { withFileTypes: true })
+		.flatMap((entry) => {
+			const file = dir ? `${dir}/${entry.name}` : entry.name;
+			if (EXCLUDE.some((pattern) => pattern.test(file))) return [];
+			return entry.isDirectory() ? listFiles(pluginDir, file) : [file];
+		})
+		.sort();
+
+/**
+ * Reads the files to package, manifest.json with the stamped version
+ * @param {string} pluginDir
+ * @param {string} version
+ * @returns {{name: string, data: Buffer, date: Date}[]}
+ */
+const collect = (pluginDir, version) =>
+	listFiles(pluginDir).map((file) => {
+		const filePath = path.join(pluginDir, file);
+		let data = fs.readFileSync(filePath);
+
+		if (file === 'manifest.json' && version) {
+			const manifest = JSON.parse(data.toString('utf8'));
+			manifest.Version = version;
+			data = Buffer.from(`${JSON.stringify(manifest, null, '\t')}\n`, 'utf8');
+		}
+
+		return { name: file, data, date: fs.statSync(filePath).mtime };
+	});
+
+/**
+ * Builds the .streamDeckPlugin archive and optionally installs the plugin
+ * @param {*} options
+ * @param {string} options.pluginDir - the *.sdPlugin folder
+ * @param {string} options.outDir - folder for the archive
+ * @param {string} options.version - version for the packaged manifest.json
+ * @param {string} options.installDir - plugins folder to install into, nothing is installed when omitted
+ * @returns {{archive: string, installed: string|null, files: number}}
+ */
+const packagePlugin = ({ pluginDir = findPluginDir(), outDir = path.join(__dirname, '..', 'release'), version, installDir } = {}) => {
+	if (version && !SCHEMA.manifest.Version.pattern.test(version)) {
+		throw new Error(`Version ${version} does not match ${SCHEMA.manifest.Version.pattern}`);
+	}
+
+	const folder = path.basename(pluginDir);
+	const files = collect(pluginDir, version);
+	const archive = path.join(outDir, `${pluginUUID(pluginDir)}.streamDeckPlugin`);
+
+	fs.mkdirSync(outDir, { recursive: true });
+	fs.writeFileSync(archive, createZip(files.map((file) => Object.assign({}, file, { name: `${folder}/${file.name}` }))));
+
+	let installed = null;
+	if (installDir) {
+		installed = path.join(installDir, folder);
+		fs.rmSync(installed, { recursive: true, force: true });
+		files.forEach(({ name, data }) => {
+			fs.mkdirSync(path.dirname(path.join(installed, name)), { recursive: true });
+			fs.writeFileSync(path.join(installed, name), data);
+		});
+	}
+
+	return { archive, installed, files: files.length };
+};
+
+if (require.main === module) {
+	try {
+		const options = parseArgs();
+		const pluginDir = path.resolve(options.plugin ?? findPluginDir());
+
+		if (!options['skip-validation']) {
+			const { errors } = validate(pluginDir);
+			if (errors.length) {
+				errors.forEach((error) => console.error(`error    ${error}`));
+				throw new Error(`${path.basename(pluginDir)} has ${errors.length} validation error(s), run npm run validate for details`);
+			}
+		}
+
+		const { archive, installed, files } = packagePlugin({
+			pluginDir,
+			outDir: options.out && path.resolve(options.out),
+			version: typeof options.version === 'string' ? options.version : undefined,
+			installDir: options.install && path.resolve(options.install === true ? defaultPluginsDir() : options.install),
+		});
+
+		console.log(`Packaged ${files} files into ${archive}`);
+		if (installed) console.log(`Installed into ${installed}, restart Stream Deck to load it`);
+	} catch (error) {
+		console.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+module.exports = { packagePlugin, defaultPluginsDir, EXCLUDE };
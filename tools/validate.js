@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { findPluginDir, pluginUUID, readJson, pageScripts, parseArgs } = require('./lib/plugin');
+
+/**
+ * Checks the plugin folder before it is packaged: the manifest against the Stream Deck SDK schema,
+ * the files it references, the actions app.js registers, the keys of the localization files
+ * and the translations of the texts in the property inspector layouts.
+ *
+ * Usage: node tools/validate.js [--plugin <dir>]
+ * Exits with 1 when there are errors, warnings are printed but do not fail.
+ */
+
+const IMAGE_EXTENSIONS = ['.png', '.svg', '.gif'];
+const LANGUAGE_FILE = /^[a-z]{2}(_[A-Z]{2})?\.json$/;
+const LAYOUTS_FILE = 'layouts.json';
+// new Action('uuid') and the static UUID of declarative Action subclasses
+const REGISTRATION = /(?:new\s+[A-Z][\w$]*\(|static\s+UUID\s*=)\s*(['"`])([a-z0-9-]+(?:\.[a-z0-9-]+)+)\1/g;
+
+/**
+ * Properties of the manifest, its actions and their states: type and whether they are required
+ */
+const SCHEMA = {
+	manifest: {
+		Actions: { type: 'array', required: true },
+		Author: { type: 'string', required: true },
+		Category: { type: 'string' },
+		CategoryIcon: { type: 'image' },
+		CodePath: { type: 'file', required: true },
+		CodePathMac: { type: 'file' },
+		CodePathWin: { type: 'file' },
+		DefaultWindowSize: { type: 'array' },
+		Description: { type: 'string', required: true },
+		Icon: { type: 'image', required: true },
+		Name: { type: 'string', required: true },
+		OS: { type: 'array', required: true },
+		PropertyInspectorPath: { type: 'file' },
+		SDKVersion: { type: 'number', required: true, enum: [2] },
+		Software: { type: 'object', required: true },
+		URL: { type: 'string' },
+		Version: { type: 'string', required: true, pattern: /^\d+(\.\d+){0,3}$/ },
+		ApplicationsToMonitor: { type: 'object' },
+		Profiles: { type: 'array' },
+		Nodejs: { type: 'object' },
+		UUID: { type: 'string' },
+	},
+	action: {
+		Icon: { type: 'image', required: true },
+		Name: { type: 'string', required: true },
+		States: { type: 'array', required: true },
+		UUID: { type: 'string', required: true, pattern: /^[a-z0-9-]+(\.[a-z0-9-]+)+$/ },
+		Tooltip: { type: 'string' },
+		PropertyInspectorPath: { type: 'file' },
+		SupportedInMultiActions: { type: 'boolean' },
+		DisableAutomaticStates: { type: 'boolean' },
+		DisableCaching: { type: 'boolean' },
+		VisibleInActionsList: { type: 'boolean' },
+		UserTitleEnabled: { type: 'boolean' },
+		Controllers: { type: 'array' },
+		Encoder: { type: 'object' },
+	},
+	state: {
+		Image: { type: 'image', required: true },
+		MultiActionImage: { type: 'image' },
+		Name: { type: 'string' },
+		Title: { type: 'string' },
+		ShowTitle: { type: 'boolean' },
+		TitleColor: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ },
+		TitleAlignment: { type: 'string', enum: ['top', 'middle', 'bottom'] },
+		FontFamily: { type: 'string' },
+		FontStyle: { type: 'string', enum: ['', 'Regular', 'Bold', 'Italic', 'Bold Italic'] },
+		FontSize: { type: 'string', pattern: /^\d+$/ },
+		FontUnderline: { type: 'boolean' },
+	},
+	os: {
+		Platform: { type: 'string', required: true, enum: ['mac', 'windows'] },
+		MinimumVersion: { type: 'string', required: true },
+	},
+};
+
+/**
+ * Validates a plugin folder
+ * @param {string} pluginDir
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+const validate = (pluginDir = findPluginDir()) => {
+	const errors = [];
+	const warnings = [];
+	const error = (where, message) => errors.push(`${where}: ${message}`);
+	const warn = (where, message) => warnings.push(`${where}: ${message}`);
+
+	let manifest;
+	try {
+		manifest = readJson(pluginDir, 'manifest.json');
+	} catch (e) {
+		error('manifest.json', e.code === 'ENOENT' ? 'not found' : `invalid JSON, ${e.message}`);
+		return { errors, warnings };
+	}
+
+	const exists = (file) => fs.existsSync(path.join(pluginDir, file));
+
+	const checkImage = (where, image) => {
+		const extension = path.extname(image);
+		const base = IMAGE_EXTENSIONS.includes(extension) ? image.slice(0, -extension.length) : image;
+		const found = IMAGE_EXTENSIONS.find((ext) => exists(`${base}${ext}`));
+
+		if (!found) return error(where, `image ${image} not found, expected ${base}.png`);
+		if (found === '.png' && !exists(`${base}@2x.png`)) error(where, `high resolution image ${base}@2x.png not found`);
+	};
+
+	const checkObject = (where, object, schema) => {
+		if (!object || typeof object !== 'object' || Array.isArray(object)) return error(where, 'must be an object');
+
+		Object.entries(schema).forEach(([name, rule]) => {
+			const value = object[name];
+			const at = where.endsWith('.json') ? `${where} ${name}` : `${where}.${name}`;
+
+			if (value === undefined) {
+				if (rule.required) error(where, `${name} is required`);
+				return;
+			}
+
+			const type = Array.isArray(value) ? 'array' : typeof value;
+			const expected = rule.type === 'image' || rule.type === 'file' ? 'string' : rule.type;
+			if (type !== expected) return error(at, `must be a ${expected}, got ${type}`);
+
+			if (rule.enum && !rule.enum.includes(value)) error(at, `must be one of ${rule.enum.map((entry) => JSON.stringify(entry)).join(', ')}`);
+			if (rule.pattern && !rule.pattern.test(value)) error(at, `${JSON.stringify(value)} does not match ${rule.pattern}`);
+			if (rule.type === 'image') checkImage(at, value);
+			if (rule.type === 'file' && !exists(value)) error(at, `file ${value} not found`);
+		});
+
+		Object.keys(object)
+			.filter((name) => !(name in schema))
+			.forEach((name) => warn(where, `unknown property ${name}`));
+	};
+
+	checkObject('manifest.json', manifest, SCHEMA.manifest);
+	(Array.isArray(manifest.OS) ? manifest.OS : []).forEach((os, index) => checkObject(`manifest.json OS[${index}]`, os, SCHEMA.os));
+	if (manifest.Software && typeof manifest.Software.MinimumVersion !== 'string') error('manifest.json Software', 'MinimumVersion is required');
+
+	const actions = Array.isArray(manifest.Actions) ? manifest.Actions : [];
+	const uuids = new Set();
+	const prefix = pluginUUID(pluginDir);
+
+	if (Array.isArray(manifest.Actions) && actions.length === 0) error('manifest.json Actions', 'must contain at least one action');
+
+	actions.forEach((action, index) => {
+		const where = `manifest.json Actions[${index}]`;
+		checkObject(where, action, SCHEMA.action);
+
+		if (typeof action.UUID === 'string') {
+			if (uuids.has(action.UUID)) error(where, `duplicate UUID ${action.UUID}`);
+			if (!action.UUID.startsWith(`${prefix}.`)) warn(where, `UUID ${action.UUID} does not start with the plugin UUID ${prefix}`);
+			uuids.add(action.UUID);
+		}
+
+		if (!Array.isArray(action.States)) return;
+		if (action.States.length < 1) error(`${where}.States`, 'must have at least one state');
+		if (action.States.length > 2) warn(`${where}.States`, 'has more than two states, the SDK schema describes one or two');
+		action.States.forEach((state, stateIndex) => checkObject(`${where}.States[${stateIndex}]`, state, SCHEMA.state));
+	});
+
+	if (!actions.some((action) => action.PropertyInspectorPath) && !manifest.PropertyInspectorPath) {
+		warn('manifest.json', 'no action has a PropertyInspectorPath');
+	}
+
+	checkRegistrations(pluginDir, manifest, uuids, error, warn);
+	const languages = checkLocalizations(pluginDir, uuids, error, warn);
+	checkLayouts(pluginDir, manifest, uuids, languages, error, warn);
+
+	return { errors, warnings };
+};
+
+/**
+ * Compares the actions registered by the scripts of the CodePath page with the manifest actions
+ */
+const checkRegistrations = (pluginDir, manifest, uuids, error, warn) => {
+	if (typeof manifest.CodePath !== 'string' || !fs.existsSync(path.join(pluginDir, manifest.CodePath))) return;
+
+	const registered = new Map();
+
+	pageScripts(pluginDir, manifest.CodePath)
+		.filter((script) => fs.existsSync(path.join(pluginDir, script)))
+		.forEach((script) => {
+			// Examples in doc comments do not register anything
+			const source = fs.readFileSync(path.join(pluginDir, script), 'utf8').replace(/\/\*[\s\S]*?\*\//g, '');
+			Array.from(source.matchAll(REGISTRATION)).forEach(([, , UUID]) => registered.set(UUID, script));
+		});
+
+	registered.forEach((script, UUID) => {
+		if (!uuids.has(UUID)) error(script, `registers action ${UUID}, which is not in manifest.json`);
+	});
+
+	uuids.forEach((UUID) => {
+		if (!registered.has(UUID)) warn('manifest.json', `action ${UUID} is not registered by the scripts of ${manifest.CodePath}`);
+	});
+};
+
+/**
+ * Checks that every language file has the keys of en.json, and that action sections name manifest actions
+ */
+const checkLocalizations = (pluginDir, uuids, error, warn) => {
+	const files = fs.readdirSync(pluginDir).filter((file) => LANGUAGE_FILE.test(file));
+	const languages = {};
+
+	files.forEach((file) => {
+		try {
+			languages[file] = readJson(pluginDir, file);
+		} catch (e) {
+			error(file, `invalid JSON, ${e.message}`);
+		}
+	});
+
+	const reference = languages['en.json'];
+	if (!reference) {
+		if (files.length) warn('en.json', 'not found, localization files are not compared');
+		return languages;
+	}
+
+	// Top level strings, plus the entries of action sections and of Localization. Plural forms differ by language
+	const keys = (json) =>
+		Object.entries(json).flatMap(([key, value]) =>
+			value && typeof value === 'object' ? Object.keys(value).map((entry) => `${key} > ${entry}`) : [key]
+		);
+
+	Object.keys(reference)
+		.filter((key) => key.includes('.') && !uuids.has(key))
+		.forEach((key) => warn('en.json', `${key} is not an action in manifest.json`));
+
+	const expected = keys(reference);
+
+	Object.entries(languages)
+		.filter(([file]) => file !== 'en.json')
+		.forEach(([file, json]) => {
+			const actual = keys(json);
+			expected.filter((key) => !actual.includes(key)).forEach((key) => error(file, `missing ${key}`));
+			actual.filter((key) => !expected.includes(key)).forEach((key) => warn(file, `${key} is not in en.json`));
+		});
+
+	return languages;
+};
+
+/**
+ * Returns the texts InspectorBuilder localizes when it renders the fields of a layout
+ */
+const layoutTexts = (fields) =>
+	fields
+		.flatMap((field) => [
+			field.label,
+			field.text,
+			field.placeholder,
+			...(field.type === 'file' ? [field.placeholder ?? 'No file...', field.buttonLabel ?? 'Choose file...'] : []),
+			...(Array.isArray(field.options) ? field.options : []).map((option) => (option && typeof option === 'object' ? option.label ?? `${option.value}` : `${option}`)),
+			...layoutTexts(Array.isArray(field.fields) ? field.fields : []),
+		])
+		.filter((text) => typeof text === 'string' && text !== '');
+
+/**
+ * Checks the layouts.json next to the property inspector pages: its actions are in the manifest
+ * and every language file translates its texts in the Localization section
+ */
+const checkLayouts = (pluginDir, manifest, uuids, languages, error, warn) => {
+	const pages = [manifest.PropertyInspectorPath, ...(Array.isArray(manifest.Actions) ? manifest.Actions : []).map((action) => action.PropertyInspectorPath)];
+	const files = new Set(pages.filter((page) => typeof page === 'string').map((page) => path.join(path.dirname(page), LAYOUTS_FILE)));
+
+	Array.from(files)
+		.filter((file) => fs.existsSync(path.join(pluginDir, file)))
+		.forEach((file) => {
+			let layouts;
+			try {
+				layouts = readJson(pluginDir, file);
+			} catch (e) {
+				return error(file, `invalid JSON, ${e.message}`);
+			}
+
+			const texts = new Set();
+
+			Object.entries(layouts).forEach(([UUID, fields]) => {
+				if (!uuids.has(UUID)) warn(file, `${UUID} is not an action in manifest.json`);
+				if (!Array.isArray(fields)) return error(file, `${UUID} must be an array of fields`);
+				layoutTexts(fields).forEach((text) => texts.add(text));
+			});
+
+			Object.entries(languages).forEach(([language, json]) => {
+				const translated = json.Localization ?? {};
+				texts.forEach((text) => !(text in translated) && error(language, `Localization misses "${text}", used in ${file}`));
+			});
+		});
+};
+
+if (require.main === module) {
+	const options = parseArgs();
+	const pluginDir = path.resolve(options.plugin ?? findPluginDir());
+	const { errors, warnings } = validate(pluginDir);
+
+	warnings.forEach((warning) => console.warn(`warning  ${warning}`));
+	errors.forEach((error) => console.error(`error    ${error}`));
+	console.log(`${path.basename(pluginDir)}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+
+	process.exitCode = errors.length ? 1 : 0;
+}
+
+module.exports = { validate, SCHEMA };